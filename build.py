@@ -22,6 +22,7 @@ INCLUDE = [
     "README.md",
     "OSC_CONFIG_README.md",
     "osc_parameters.json",
+    "osc_parameters.schema.json",
     "package.json",
     "package-lock.json",
     "pulsoid_widget_osc.vrmanifest",
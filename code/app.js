@@ -1,16 +1,22 @@
-const { ReadFile, stringIsnullOrEmpty } = require('./method')
-const { RunWidget } = require('./widget')
+const { USAGE, parseCommandLine, run, validateConfig, dryRun } = require('./cli')
+const { logger } = require('./logger')
 
-const widgetId = ReadFile('widget_id.txt')
-if (stringIsnullOrEmpty(widgetId)) {
-    console.log('========================================')
-    console.log('  Pulsoid Widget to VRChat OSC')
-    console.log('========================================')
-    console.log('[ERROR] No widget_id.txt found!')
-    console.log('[INFO] Create widget_id.txt with your Pulsoid widget ID')
-    console.log('[INFO] Get it from: https://pulsoid.net/ui/widgets')
-    console.log('[INFO] Example: a1b2c3d4-e5f6-7890-abcd-ef1234567890')
-    process.exit(1)
-}
+const { command, options, help, error } = parseCommandLine(process.argv.slice(2), process.env)
+
+if (error) {
+    logger.error('%s', error)
+    process.stdout.write(USAGE)
+    process.exitCode = 1
+} else if (help) {
+    process.stdout.write(USAGE)
+} else {
+    logger.setOverrides(options.logging)
 
-RunWidget(widgetId.trim())
+    if (command === 'validate') {
+        process.exitCode = validateConfig(options)
+    } else if (command === 'dry-run') {
+        process.exitCode = dryRun(options)
+    } else {
+        run(options)
+    }
+}
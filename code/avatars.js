@@ -0,0 +1,100 @@
+const { Server } = require('node-osc')
+const { logger } = require('./logger')
+
+/**
+ * VRChat sends its own OSC messages (avatar changes, parameter values) to this port
+ */
+const DEFAULT_LISTEN_PORT = 9001
+
+/**
+ * VRChat avatar IDs look like avtr_<uuid>, local test avatars like local:<uuid>
+ */
+const AVATAR_ID_PATTERN = /^(avtr_|local:)/
+
+/**
+ * Validate the "avatarProfiles" config section - the parameter lists inside
+ * each profile are validated like the top-level "parameters"
+ * @param {any} avatarProfiles
+ * @returns {string|null} Error message, or null if valid
+ */
+const validateAvatarProfiles = (avatarProfiles) => {
+    if (typeof avatarProfiles !== 'object' || avatarProfiles === null || Array.isArray(avatarProfiles)) {
+        return 'Config "avatarProfiles" must be an object'
+    }
+
+    if (avatarProfiles.enabled !== undefined && typeof avatarProfiles.enabled !== 'boolean') {
+        return 'Avatar profiles: "enabled" must be true or false'
+    }
+
+    const port = avatarProfiles.listenPort
+    if (port !== undefined && (!Number.isInteger(port) || port < 1 || port > 65535)) {
+        return 'Avatar profiles: "listenPort" must be a whole number between 1 and 65535'
+    }
+
+    const profiles = avatarProfiles.profiles
+    if (typeof profiles !== 'object' || profiles === null || Array.isArray(profiles)) {
+        return 'Avatar profiles: "profiles" must be an object keyed by avatar ID'
+    }
+
+    for (const [avatarId, profile] of Object.entries(profiles)) {
+        if (avatarId.startsWith('_')) continue
+
+        if (!AVATAR_ID_PATTERN.test(avatarId)) {
+            return `Avatar profiles: "${avatarId}" is not an avatar ID (they look like avtr_1a2b3c4d-...)`
+        }
+
+        if (typeof profile !== 'object' || profile === null || Array.isArray(profile)) {
+            return `Avatar profile "${avatarId}" must be an object with a "parameters" array`
+        }
+
+        if (profile.name !== undefined && (typeof profile.name !== 'string' || profile.name === '')) {
+            return `Avatar profile "${avatarId}": "name" must be a non-empty string`
+        }
+
+        if (!Array.isArray(profile.parameters) || profile.parameters.length === 0) {
+            return `Avatar profile "${profile.name || avatarId}" must have a "parameters" array with at least one parameter`
+        }
+    }
+
+    return null
+}
+
+/**
+ * Find the profile for an avatar
+ * @param {object|undefined} avatarProfiles - "avatarProfiles" config section
+ * @param {string|null} avatarId
+ * @returns {{name?: string, parameters: object[]}|null} null means the default "parameters" apply
+ */
+const findAvatarProfile = (avatarProfiles, avatarId) => {
+    if (!avatarProfiles || avatarProfiles.enabled === false || !avatarId) return null
+    return avatarProfiles.profiles[avatarId] || null
+}
+
+/**
+ * Listen on VRChat's outgoing OSC port for avatar changes
+ * @param {object} options
+ * @param {number} [options.port]
+ * @param {(avatarId: string) => void} options.onAvatarChange
+ * @param {import('./logger').Logger} [options.log]
+ * @returns {{close: () => void}}
+ */
+const listenForAvatarChanges = ({ port = DEFAULT_LISTEN_PORT, onAvatarChange, log = logger }) => {
+    const receiver = new Server(port, '127.0.0.1')
+
+    receiver.on('listening', () => {
+        log.status('Listening for avatar changes on port %d', port)
+    })
+
+    receiver.on('/avatar/change', ([, avatarId]) => {
+        if (typeof avatarId === 'string') onAvatarChange(avatarId)
+    })
+
+    // Malformed packets from other OSC apps shouldn't take the bridge down
+    receiver.on('error', () => { })
+
+    return { close: () => receiver.close() }
+}
+
+exports.validateAvatarProfiles = validateAvatarProfiles
+exports.findAvatarProfile = findAvatarProfile
+exports.listenForAvatarChanges = listenForAvatarChanges
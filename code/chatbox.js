@@ -0,0 +1,180 @@
+/**
+ * VRChat chatbox output (/chatbox/input) with a text template
+ */
+
+const { systemClock } = require('./clock')
+
+/**
+ * VRChat drops chatbox messages sent faster than this
+ */
+const MIN_INTERVAL_SECONDS = 1.5
+
+/**
+ * VRChat shows at most this many characters
+ */
+const MAX_LENGTH = 144
+
+/**
+ * Placeholders that may be used in the template, e.g. "{heartRate}"
+ */
+const TEMPLATE_PLACEHOLDERS = ['heartRate', 'avgHeartRate', 'restingHeartRate', 'trend']
+
+/**
+ * Validate the "chatbox" config section
+ * @param {any} chatbox
+ * @param {Set<string>} targetNames - Names from the top-level "targets" list
+ * @returns {string|null} Error message, or null if valid
+ */
+const validateChatbox = (chatbox, targetNames) => {
+    if (typeof chatbox !== 'object' || chatbox === null || Array.isArray(chatbox)) {
+        return 'Config "chatbox" must be an object'
+    }
+
+    if (chatbox.enabled !== undefined && typeof chatbox.enabled !== 'boolean') {
+        return 'Chatbox: "enabled" must be true or false'
+    }
+
+    if (typeof chatbox.template !== 'string' || chatbox.template.trim() === '') {
+        return 'Chatbox: "template" must be a non-empty string like "❤ {heartRate} bpm"'
+    }
+
+    const placeholders = [...chatbox.template.matchAll(/\{([^}]*)\}/g)].map(match => match[1])
+    const unknown = placeholders.find(name => !TEMPLATE_PLACEHOLDERS.includes(name))
+    if (unknown !== undefined) {
+        return `Chatbox: Unknown placeholder "{${unknown}}". Use: ${TEMPLATE_PLACEHOLDERS.map(name => `{${name}}`).join(', ')}`
+    }
+
+    if (chatbox.interval !== undefined && (typeof chatbox.interval !== 'number' || chatbox.interval < MIN_INTERVAL_SECONDS)) {
+        return `Chatbox: "interval" must be at least ${MIN_INTERVAL_SECONDS} seconds (VRChat rate limit)`
+    }
+
+    for (const flag of ['notify', 'clearOnDisconnect']) {
+        if (chatbox[flag] !== undefined && typeof chatbox[flag] !== 'boolean') {
+            return `Chatbox: "${flag}" must be true or false`
+        }
+    }
+
+    if (chatbox.targets !== undefined) {
+        if (!Array.isArray(chatbox.targets) || chatbox.targets.length === 0) {
+            return 'Chatbox: "targets" must be an array with at least one target name'
+        }
+        const unknownTarget = chatbox.targets.find(name => !targetNames.has(name))
+        if (unknownTarget !== undefined) {
+            return `Chatbox: Unknown target "${unknownTarget}". Defined targets: ${[...targetNames].join(', ')}`
+        }
+    }
+
+    return null
+}
+
+/**
+ * Arrow showing whether the heart rate is above, below or near the recent average
+ * @param {number} heartRate
+ * @param {number} avgHeartRate
+ * @returns {string}
+ */
+const trendArrow = (heartRate, avgHeartRate) => {
+    if (heartRate > avgHeartRate + 2) return '↑'
+    if (heartRate < avgHeartRate - 2) return '↓'
+    return '→'
+}
+
+/**
+ * Fill in a template
+ * @param {string} template
+ * @param {{heartRate: number, avgHeartRate: number, restingHeartRate: number}} variables
+ * @returns {string}
+ */
+const renderTemplate = (template, variables) => {
+    const values = {
+        heartRate: Math.round(variables.heartRate),
+        avgHeartRate: Math.round(variables.avgHeartRate),
+        restingHeartRate: Math.round(variables.restingHeartRate),
+        trend: trendArrow(variables.heartRate, variables.avgHeartRate)
+    }
+    return template.replace(/\{([^}]*)\}/g, (match, name) => String(values[name])).slice(0, MAX_LENGTH)
+}
+
+/**
+ * Create the chatbox output
+ * @param {object} options
+ * @param {() => object|undefined} options.getConfig - Current "chatbox" config section
+ * @param {(text: string, notify: boolean) => void} options.send
+ * @param {import('./clock').Clock} [options.clock]
+ * @returns {{update: (variables: object) => void, clear: () => void, stop: () => void}}
+ */
+const createChatbox = ({ getConfig, send, clock = systemClock }) => {
+    let lastSentText = null
+    let lastSentTime = 0
+    let pendingText = null
+    let pendingTimer = null
+
+    const sendNow = (text) => {
+        const config = getConfig()
+        send(text, Boolean(config?.notify))
+        lastSentText = text
+        lastSentTime = clock.now()
+    }
+
+    // Send now if the rate limit allows, otherwise send the latest text once it does
+    const queue = (text) => {
+        if (text === lastSentText) {
+            pendingText = null
+            return
+        }
+
+        const interval = (getConfig()?.interval || MIN_INTERVAL_SECONDS) * 1000
+        const wait = lastSentTime + interval - clock.now()
+        if (wait <= 0) {
+            sendNow(text)
+            return
+        }
+
+        pendingText = text
+        if (!pendingTimer) {
+            pendingTimer = clock.setTimeout(() => {
+                pendingTimer = null
+                if (pendingText !== null) queue(pendingText)
+            }, wait)
+        }
+    }
+
+    /**
+     * Render the template for a new reading and send it if the text changed
+     * @param {{heartRate: number, avgHeartRate: number, restingHeartRate: number}} variables
+     */
+    const update = (variables) => {
+        const config = getConfig()
+        if (!config || config.enabled === false) return
+        queue(renderTemplate(config.template, variables))
+    }
+
+    /**
+     * Clear the chatbox when the connection is lost (if "clearOnDisconnect" is on)
+     */
+    const clear = () => {
+        const config = getConfig()
+        if (!config || config.enabled === false || config.clearOnDisconnect === false) return
+        if (lastSentText === null) return
+        queue('')
+    }
+
+    /**
+     * Drop any text still waiting for the rate limit - a waiting clear is sent right away,
+     * so the last BPM doesn't stay in the chatbox after shutdown
+     */
+    const stop = () => {
+        clock.clearTimeout(pendingTimer)
+        pendingTimer = null
+        if (pendingText === '') sendNow('')
+        pendingText = null
+    }
+
+    return { update, clear, stop }
+}
+
+exports.TEMPLATE_PLACEHOLDERS = TEMPLATE_PLACEHOLDERS
+exports.trendArrow = trendArrow
+exports.validateChatbox = validateChatbox
+exports.renderTemplate = renderTemplate
+exports.createChatbox = createChatbox
@@ -0,0 +1,370 @@
+const fs = require('fs')
+const path = require('path')
+const { parseArgs } = require('util')
+const { LOG_LEVELS, LOG_FORMATS, createLogger, logger } = require('./logger')
+const { parseSourceSpec, resolveSource, validateSource } = require('./sources')
+const { ReadFile } = require('./method')
+const { meetsTrigger } = require('./triggers')
+const { getZoneBoundaries } = require('./statistics')
+const { formatConfigProblem } = require('./schema')
+const { CONFIG_VERSION } = require('./migrations')
+const { CONFIG_PATH, DEFAULT_RESTING_HEART_RATE, loadOSCConfig, evaluateParameterValue, toOSCArgument, toOSCMessages, PulsoidOscBridge } = require('./widget')
+
+const COMMANDS = ['run', 'validate', 'dry-run']
+
+/**
+ * Environment variable for each option - the command line wins over these
+ */
+const ENVIRONMENT_VARIABLES = {
+    'widget-id': 'PULSOID_WIDGET_ID',
+    'config': 'PULSOID_OSC_CONFIG',
+    'osc-host': 'PULSOID_OSC_HOST',
+    'osc-port': 'PULSOID_OSC_PORT',
+    'log-level': 'PULSOID_OSC_LOG_LEVEL',
+    'log-format': 'PULSOID_OSC_LOG_FORMAT',
+    'log-file': 'PULSOID_OSC_LOG_FILE',
+    'quiet-hr': 'PULSOID_OSC_QUIET_HR',
+    'source': 'PULSOID_OSC_SOURCE'
+}
+
+/**
+ * BPM values shown by dry-run unless --range / --step say otherwise
+ */
+const DEFAULT_DRY_RUN_RANGE = [40, 200]
+const DEFAULT_DRY_RUN_STEP = 20
+
+const USAGE = `Usage: node code/app.js [command] [options]
+
+Commands:
+  run                    Send heart rate to VRChat (default)
+  validate               Check the config file and exit (status 0 = valid, 1 = invalid)
+  dry-run                Print the value of every parameter over a range of BPM - nothing is sent
+
+Options:
+  --widget-id <id>       Pulsoid widget ID (default: read from widget_id.txt)      [${ENVIRONMENT_VARIABLES['widget-id']}]
+  --config <file>        Config file (default: osc_parameters.json)                [${ENVIRONMENT_VARIABLES['config']}]
+  --osc-host <host>      Host of the VRChat OSC target                             [${ENVIRONMENT_VARIABLES['osc-host']}]
+  --osc-port <port>      Port of the VRChat OSC target                             [${ENVIRONMENT_VARIABLES['osc-port']}]
+  --log-level <level>    ${LOG_LEVELS.join(', ')} (default: info)                  [${ENVIRONMENT_VARIABLES['log-level']}]
+  --log-format <format>  ${LOG_FORMATS.join(' or ')} - json prints one object per line          [${ENVIRONMENT_VARIABLES['log-format']}]
+  --log-file <file>      Also write the log to a file (rotated by size)            [${ENVIRONMENT_VARIABLES['log-file']}]
+  --quiet-hr             Don't print a line for every heart rate reading           [${ENVIRONMENT_VARIABLES['quiet-hr']}=1]
+  --source <source>      pulsoid, synthetic[:mode] or replay:<file>                [${ENVIRONMENT_VARIABLES['source']}]
+  --range <min-max>      dry-run: BPM range (default: ${DEFAULT_DRY_RUN_RANGE.join('-')})
+  --step <bpm>           dry-run: BPM step (default: ${DEFAULT_DRY_RUN_STEP})
+  -h, --help             Show this help
+`
+
+/**
+ * Parse the command line, falling back to environment variables
+ * @param {string[]} argv - Arguments after "node app.js"
+ * @param {Object<string, string|undefined>} env
+ * @returns {{command?: string, options?: object, help?: boolean, error?: string}}
+ */
+const parseCommandLine = (argv, env) => {
+    let parsed
+    try {
+        parsed = parseArgs({
+            args: argv,
+            allowPositionals: true,
+            options: {
+                'widget-id': { type: 'string' },
+                'config': { type: 'string' },
+                'osc-host': { type: 'string' },
+                'osc-port': { type: 'string' },
+                'log-level': { type: 'string' },
+                'log-format': { type: 'string' },
+                'log-file': { type: 'string' },
+                'quiet-hr': { type: 'boolean' },
+                'source': { type: 'string' },
+                'range': { type: 'string' },
+                'step': { type: 'string' },
+                'help': { type: 'boolean', short: 'h' }
+            }
+        })
+    } catch (err) {
+        return { error: err.message }
+    }
+
+    if (parsed.values.help) return { help: true }
+
+    const command = parsed.positionals[0] || 'run'
+    if (!COMMANDS.includes(command) || parsed.positionals.length > 1) {
+        return { error: `Unknown command "${parsed.positionals.join(' ')}". Commands: ${COMMANDS.join(', ')}` }
+    }
+
+    // Empty environment variables count as not set
+    const value = (name) => parsed.values[name] ?? (env[ENVIRONMENT_VARIABLES[name]] || undefined)
+    const options = {}
+
+    options.widgetId = value('widget-id')?.trim()
+
+    if (value('config') !== undefined) {
+        options.configPath = path.resolve(value('config'))
+    }
+
+    const oscHost = value('osc-host')
+    const oscPort = value('osc-port')
+    if (oscPort !== undefined) {
+        const port = Number(oscPort)
+        if (!Number.isInteger(port) || port < 1 || port > 65535) {
+            return { error: `--osc-port must be a whole number between 1 and 65535, got "${oscPort}"` }
+        }
+        options.osc = { host: oscHost, port }
+    } else if (oscHost !== undefined) {
+        options.osc = { host: oscHost }
+    }
+
+    // Logging settings from here win over the config's "logging" section
+    options.logging = {}
+    const logLevel = value('log-level')
+    if (logLevel !== undefined) {
+        if (!LOG_LEVELS.includes(logLevel)) {
+            return { error: `--log-level must be one of: ${LOG_LEVELS.join(', ')}` }
+        }
+        options.logging.level = logLevel
+    }
+
+    const logFormat = value('log-format')
+    if (logFormat !== undefined) {
+        if (!LOG_FORMATS.includes(logFormat)) {
+            return { error: `--log-format must be one of: ${LOG_FORMATS.join(', ')}` }
+        }
+        options.logging.format = logFormat
+    }
+
+    if (value('log-file') !== undefined) {
+        options.logging.file = path.resolve(value('log-file'))
+    }
+
+    const quietHeartRate = parsed.values['quiet-hr'] ?? ['1', 'true', 'yes'].includes((env[ENVIRONMENT_VARIABLES['quiet-hr']] || '').toLowerCase())
+    if (quietHeartRate) {
+        options.logging.heartRate = false
+    }
+
+    if (value('source') !== undefined) {
+        options.source = parseSourceSpec(value('source'))
+    }
+
+    options.range = DEFAULT_DRY_RUN_RANGE
+    if (parsed.values.range !== undefined) {
+        const match = /^(\d+)-(\d+)$/.exec(parsed.values.range)
+        if (!match || Number(match[1]) >= Number(match[2])) {
+            return { error: `--range must look like 40-200, got "${parsed.values.range}"` }
+        }
+        options.range = [Number(match[1]), Number(match[2])]
+    }
+
+    options.step = DEFAULT_DRY_RUN_STEP
+    if (parsed.values.step !== undefined) {
+        options.step = Number(parsed.values.step)
+        if (!(options.step > 0)) {
+            return { error: `--step must be a positive number, got "${parsed.values.step}"` }
+        }
+    }
+
+    return { command, options }
+}
+
+/**
+ * Explain why the bridge couldn't start
+ * @param {Error & {code?: string}} err - From PulsoidOscBridge.start()
+ * @param {string} configName
+ * @param {import('./logger').Logger} log
+ */
+const printStartError = (err, configName, log) => {
+    switch (err.code) {
+        case 'CONFIG_INVALID':
+            log.error('Failed to load OSC configuration!')
+            err.message.split('\n').forEach(line => log.error('%s', line))
+            log.hint('error', 'Fix %s and restart', configName)
+            break
+        case 'SOURCE_INVALID':
+            log.error('Invalid heart rate source!')
+            log.error('%s', err.message)
+            break
+        case 'WIDGET_ID_MISSING':
+            log.error('No widget_id.txt found!')
+            log.hint('error', 'Create widget_id.txt with your Pulsoid widget ID (or use --widget-id)')
+            log.hint('error', 'Get it from: https://pulsoid.net/ui/widgets')
+            log.hint('error', 'Example: a1b2c3d4-e5f6-7890-abcd-ef1234567890')
+            break
+        case 'WIDGET_ID_INVALID':
+            log.error('Invalid widget ID format!')
+            log.hint('error', 'Widget ID should be a UUID like: a1b2c3d4-e5f6-7890-abcd-ef1234567890')
+            log.hint('error', 'Get your widget ID from: https://pulsoid.net/ui/widgets')
+            break
+        default:
+            log.error('%s', err.message)
+    }
+}
+
+/**
+ * "run" command - bridge heart rate to OSC until Ctrl+C
+ * @param {object} options - From parseCommandLine
+ */
+const run = async (options) => {
+    // The bridge sets this logger up from the config's "logging" section - command line options still win
+    const log = createLogger(options.logging)
+
+    log.plain('========================================')
+    log.plain('  Pulsoid Widget to VRChat OSC')
+    log.plain('========================================')
+
+    const bridge = new PulsoidOscBridge({
+        widgetId: options.widgetId ?? ReadFile('widget_id.txt').trim(),
+        configPath: options.configPath,
+        source: options.source,
+        osc: options.osc,
+        log
+    })
+
+    const shutdown = async (message) => {
+        log.status(message)
+        await bridge.stop()
+        log.close()
+        process.exit(0)
+    }
+    process.on('SIGINT', () => {
+        log.plain('')
+        shutdown('Shutting down...')
+    })
+    process.on('SIGTERM', () => shutdown('Received termination signal, shutting down...'))
+
+    try {
+        await bridge.start()
+    } catch (err) {
+        printStartError(err, path.basename(options.configPath || CONFIG_PATH), log)
+        log.close()
+        process.exit(1)
+    }
+}
+
+/**
+ * Load the config for validate / dry-run - unlike a normal run, a missing file is an error
+ * @param {{configPath?: string}} options
+ * @returns {object|null} Config, or null after printing the error
+ */
+const loadConfigFile = (options) => {
+    const configPath = options.configPath || CONFIG_PATH
+    if (!fs.existsSync(configPath)) {
+        logger.error('Config file not found: %s', configPath)
+        return null
+    }
+
+    // Only a normal run saves a migrated config back to the file
+    const result = loadOSCConfig(configPath, { migrateFile: false })
+    result.errors.forEach(error => logger.error('%s', formatConfigProblem(error)))
+    result.warnings.forEach(warning => logger.warn('%s', formatConfigProblem(warning)))
+    if (!result.valid) {
+        logger.error('Found %d problem(s) in %s', result.errors.length, path.basename(configPath))
+        return null
+    }
+
+    if (result.migratedFrom !== undefined) {
+        logger.info('%s is config version %d - it will be updated to %d on the next run', path.basename(configPath), result.migratedFrom, CONFIG_VERSION)
+    }
+    return result.config
+}
+
+/**
+ * "validate" command
+ * @param {object} options - From parseCommandLine
+ * @returns {number} Exit code
+ */
+const validateConfig = (options) => {
+    const config = loadConfigFile(options)
+    if (!config) return 1
+
+    // With "widgets" each widget has its own source
+    const sources = config.widgets ? config.widgets.map(widget => widget.source) : [config.source]
+    const sourceError = sources.map(source => validateSource(resolveSource(options.source, source))).find(error => error)
+    if (sourceError) {
+        logger.error('%s', sourceError)
+        return 1
+    }
+
+    if (config.widgets) {
+        logger.info('%s is valid - %d OSC parameter(s), %d widget(s)', path.basename(options.configPath || CONFIG_PATH), config.parameters.length, config.widgets.length)
+        return 0
+    }
+    logger.info('%s is valid - %d OSC parameter(s)', path.basename(options.configPath || CONFIG_PATH), config.parameters.length)
+    return 0
+}
+
+/**
+ * What a parameter would send at a BPM, as table text
+ * @param {object} param
+ * @param {number} bpm
+ * @param {number} restingHeartRate
+ * @param {number[]} zoneBoundaries
+ * @returns {string}
+ */
+const describeOutput = (param, bpm, restingHeartRate, zoneBoundaries) => {
+    if (param.value === 'toggle') return 'toggle'
+    if (param.value === 'connectionStatus') return 'true'
+    if (param.value === 'pulse') return bpm > 0 ? `pulse ${Math.round(60000 / bpm)}ms` : 'pulse off'
+
+    // A steady, fresh heart rate - the average, min and max are the reading itself and there is no trend
+    const state = { toggle: false, avgHeartRate: bpm, restingHeartRate, sessionMin: bpm, sessionMax: bpm, trend: 0, trendSlope: 0, zoneBoundaries, dataAge: 0 }
+
+    // Held long enough, a steady heart rate always meets "for"
+    if (param.trigger) {
+        const on = meetsTrigger(param.trigger, evaluateParameterValue({ value: param.trigger.when || 'heartRate' }, bpm, state))
+        if (!on) return 'off'
+        return param.trigger.output === 'pulse' ? 'pulse' : 'on'
+    }
+
+    // Digits / bits highest first, the way they read
+    if (param.decompose) {
+        const parts = toOSCMessages(param, evaluateParameterValue(param, bpm, state)).map(message => Number(message.args.value))
+        return parts.reverse().join(param.decompose.mode === 'bits' ? '' : ' ')
+    }
+
+    const { value } = toOSCArgument(param, evaluateParameterValue(param, bpm, state))
+    return param.type === 'float' ? value.toFixed(3) : String(value)
+}
+
+/**
+ * Print rows as aligned columns - straight to stdout, so --log-level doesn't hide the table
+ * @param {string[][]} rows - First row is the header
+ */
+const printTable = (rows) => {
+    const widths = rows[0].map((_, column) => Math.max(...rows.map(row => row[column].length)))
+    const line = (row) => row.map((cell, column) => cell.padEnd(widths[column])).join('  ').trimEnd() + '\n'
+
+    process.stdout.write(line(rows[0]))
+    process.stdout.write(line(widths.map(width => '-'.repeat(width))))
+    rows.slice(1).forEach(row => process.stdout.write(line(row)))
+}
+
+/**
+ * "dry-run" command - no sockets are opened
+ * @param {object} options - From parseCommandLine
+ * @returns {number} Exit code
+ */
+const dryRun = (options) => {
+    const config = loadConfigFile(options)
+    if (!config) return 1
+
+    const restingHeartRate = config.restingHeartRate || DEFAULT_RESTING_HEART_RATE
+    const zoneBoundaries = getZoneBoundaries(config.statistics)
+    const bpms = []
+    for (let bpm = options.range[0]; bpm <= options.range[1]; bpm += options.step) bpms.push(bpm)
+
+    printTable([
+        ['BPM', ...config.parameters.map(param => param.name)],
+        ...bpms.map(bpm => [String(bpm), ...config.parameters.map(param => describeOutput(param, bpm, restingHeartRate, zoneBoundaries))])
+    ])
+
+    if (config.parameters.some(param => param.filter)) {
+        logger.info('Filters are skipped - they only change how fast values follow the heart rate')
+    }
+    return 0
+}
+
+exports.USAGE = USAGE
+exports.parseCommandLine = parseCommandLine
+exports.run = run
+exports.validateConfig = validateConfig
+exports.dryRun = dryRun
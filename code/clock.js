@@ -0,0 +1,19 @@
+/**
+ * Time source used by the bridge and its timers - tests can pass a fake one
+ * with the same shape to control time
+ * @typedef {{now: () => number, setTimeout: typeof setTimeout, clearTimeout: typeof clearTimeout, setInterval: typeof setInterval, clearInterval: typeof clearInterval}} Clock
+ */
+
+/**
+ * The real clock
+ * @type {Clock}
+ */
+const systemClock = {
+    now: () => Date.now(),
+    setTimeout: (callback, ms) => setTimeout(callback, ms),
+    clearTimeout: (timer) => clearTimeout(timer),
+    setInterval: (callback, ms) => setInterval(callback, ms),
+    clearInterval: (timer) => clearInterval(timer)
+}
+
+exports.systemClock = systemClock
@@ -0,0 +1,175 @@
+const http = require('http')
+const net = require('net')
+const fs = require('fs')
+const path = require('path')
+const { WebSocketServer } = require('ws')
+const { logger } = require('./logger')
+
+/**
+ * Default dashboard address - localhost only, so it isn't reachable from the network
+ */
+const DEFAULT_HOST = '127.0.0.1'
+const DEFAULT_PORT = 8765
+
+const LOOPBACK_HOSTS = ['localhost', '127.0.0.1', '[::1]', '::1']
+
+/**
+ * Validate the "dashboard" config section
+ * @param {any} dashboard
+ * @returns {string|null} Error message, or null if valid
+ */
+const validateDashboard = (dashboard) => {
+    if (typeof dashboard !== 'object' || dashboard === null || Array.isArray(dashboard)) {
+        return 'Config "dashboard" must be an object'
+    }
+
+    if (dashboard.enabled !== undefined && typeof dashboard.enabled !== 'boolean') {
+        return 'Dashboard: "enabled" must be true or false'
+    }
+
+    if (dashboard.port !== undefined && (!Number.isInteger(dashboard.port) || dashboard.port < 1 || dashboard.port > 65535)) {
+        return 'Dashboard: "port" must be a whole number between 1 and 65535'
+    }
+
+    if (dashboard.host !== undefined && (typeof dashboard.host !== 'string' || dashboard.host === '')) {
+        return 'Dashboard: "host" must be a hostname or IP address'
+    }
+
+    return null
+}
+
+/**
+ * Whether a request's Host header names this PC. A DNS-rebinding page talks to the
+ * server under its own domain name, so only loopback names are accepted - and IP
+ * addresses, when the server listens on more than localhost.
+ * @param {string|undefined} hostHeader
+ * @param {string} listenHost - Address the server listens on
+ * @returns {boolean}
+ */
+const isLocalHost = (hostHeader, listenHost) => {
+    if (!hostHeader) return false
+    let hostname
+    try {
+        hostname = new URL(`http://${hostHeader}`).hostname
+    } catch (err) {
+        return false
+    }
+    if (LOOPBACK_HOSTS.includes(hostname)) return true
+    return !LOOPBACK_HOSTS.includes(listenHost) && net.isIP(hostname.replace(/^\[(.*)\]$/, '$1')) !== 0
+}
+
+/**
+ * WebSocket verifyClient - only the page this server serves may connect. Binding to
+ * localhost doesn't stop a browser from opening the socket for any other web page.
+ * @param {{origin: string|undefined, req: import('http').IncomingMessage}} info
+ * @returns {boolean} True without an Origin (not a browser) or with this server's own
+ */
+const isSameOrigin = ({ origin, req }) => {
+    if (!origin) return true
+    try {
+        return new URL(origin).host === req.headers.host
+    } catch (err) {
+        return false
+    }
+}
+
+/**
+ * verifyClient for a server listening on listenHost - a local Host and the server's own Origin
+ * @param {string} listenHost
+ * @returns {(info: {origin: string|undefined, req: import('http').IncomingMessage}) => boolean}
+ */
+const verifyLocalClient = (listenHost) => (info) => isLocalHost(info.req.headers.host, listenHost) && isSameOrigin(info)
+
+/**
+ * Create the local status dashboard (HTTP page + WebSocket feed) - a no-op when disabled
+ * @param {object|undefined} dashboard - "dashboard" config section
+ * @param {() => object} getStatus - Current bridge status, sent to the page
+ * @param {import('./logger').Logger} [log]
+ * @returns {{start: () => void, update: () => void, stop: () => void}}
+ */
+const createDashboard = (dashboard, getStatus, log = logger) => {
+    if (!dashboard || dashboard.enabled === false) {
+        return { start: () => { }, update: () => { }, stop: () => { } }
+    }
+
+    const host = dashboard.host || DEFAULT_HOST
+    const port = dashboard.port || DEFAULT_PORT
+    let server = null
+    let wss = null
+
+    const page = fs.readFileSync(path.join(__dirname, 'dashboard.html'), 'utf-8')
+
+    const start = () => {
+        server = http.createServer((req, res) => {
+            if (!isLocalHost(req.headers.host, host)) {
+                res.writeHead(403, { 'Content-Type': 'text/plain' })
+                res.end('Forbidden')
+                return
+            }
+
+            if (req.url === '/' || req.url === '/index.html') {
+                res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' })
+                res.end(page)
+                return
+            }
+
+            if (req.url === '/status') {
+                res.writeHead(200, { 'Content-Type': 'application/json' })
+                res.end(JSON.stringify(getStatus()))
+                return
+            }
+
+            res.writeHead(404, { 'Content-Type': 'text/plain' })
+            res.end('Not found')
+        })
+
+        wss = new WebSocketServer({ server, path: '/ws', verifyClient: verifyLocalClient(host) })
+        wss.on('connection', (socket) => {
+            socket.send(JSON.stringify(getStatus()))
+        })
+
+        // The WebSocket server passes the HTTP server's errors on too - report each one once
+        let lastError = null
+        const handleError = (err) => {
+            if (err === lastError) return
+            lastError = err
+
+            // Dashboard is optional - keep the bridge running without it
+            log.error('Dashboard could not start: %s', err.message)
+            if (err.code === 'EADDRINUSE') {
+                log.hint('error', 'Port %d is in use - set another "port" in the dashboard config', port)
+            }
+        }
+        server.on('error', handleError)
+        wss.on('error', handleError)
+
+        server.listen(port, host, () => {
+            log.status('Dashboard running at http://%s:%d', host, port)
+        })
+    }
+
+    /**
+     * Push the current status to every open page
+     */
+    const update = () => {
+        if (!wss || wss.clients.size === 0) return
+        const message = JSON.stringify(getStatus())
+        wss.clients.forEach(socket => {
+            if (socket.readyState === socket.OPEN) socket.send(message)
+        })
+    }
+
+    const stop = () => {
+        if (wss) wss.clients.forEach(socket => socket.terminate())
+        if (wss) wss.close()
+        if (server) server.close()
+    }
+
+    return { start, update, stop }
+}
+
+exports.isLocalHost = isLocalHost
+exports.isSameOrigin = isSameOrigin
+exports.verifyLocalClient = verifyLocalClient
+exports.validateDashboard = validateDashboard
+exports.createDashboard = createDashboard
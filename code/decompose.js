@@ -0,0 +1,98 @@
+/**
+ * "decompose" output - one value written across several parameters, as
+ * decimal digits (ones, tens, hundreds...) or binary bits
+ *
+ * Saves VRChat sync budget (three int digits or eight bools instead of a
+ * float) and drives digit-texture displays directly.
+ */
+
+const DECOMPOSE_MODES = ['digits', 'bits']
+
+/**
+ * Validate a parameter's "decompose" block (after its "type" was checked)
+ * @param {object} param
+ * @returns {string|null} Error message, or null if valid
+ */
+const validateDecompose = (param) => {
+    const decompose = param.decompose
+
+    if (typeof decompose !== 'object' || decompose === null || Array.isArray(decompose)) {
+        return '"decompose" must be an object like { "mode": "digits", "addresses": [...] }'
+    }
+
+    if (!DECOMPOSE_MODES.includes(decompose.mode)) {
+        return `"decompose.mode" must be one of: ${DECOMPOSE_MODES.join(', ')}`
+    }
+
+    if (!Array.isArray(decompose.addresses) || decompose.addresses.length === 0) {
+        return '"decompose.addresses" must be an array with at least one address (lowest digit / bit first)'
+    }
+
+    const invalid = decompose.addresses.find(address => typeof address !== 'string' || !address.startsWith('/avatar/parameters/'))
+    if (invalid !== undefined) {
+        return `"decompose.addresses": "${invalid}" must start with "/avatar/parameters/"`
+    }
+
+    if (decompose.mode === 'digits' && param.type !== 'int') {
+        return '"decompose" digits can only be used with type "int"'
+    }
+
+    if (decompose.mode === 'bits' && param.type === 'float') {
+        return '"decompose" bits can only be used with type "bool" or "int"'
+    }
+
+    if (param.value !== undefined && ['toggle', 'connectionStatus', 'pulse'].includes(param.value)) {
+        return `"decompose" cannot be used with "${param.value}"`
+    }
+
+    if (param.trigger !== undefined) {
+        return '"decompose" cannot be used with "trigger"'
+    }
+
+    return null
+}
+
+/**
+ * Every address a parameter sends to
+ * @param {object} param
+ * @returns {string[]}
+ */
+const getParameterAddresses = (param) => param.decompose ? param.decompose.addresses : [param.address]
+
+/**
+ * Split a value into one digit / bit per address, lowest first - rounded and
+ * clamped to what the addresses can show (0-999 for three digits)
+ * @param {{mode: string, addresses: string[]}} decompose
+ * @param {number} value
+ * @returns {number[]}
+ */
+const decomposeValue = (decompose, value) => {
+    const base = decompose.mode === 'bits' ? 2 : 10
+    const count = decompose.addresses.length
+    const max = Math.pow(base, count) - 1
+    let remaining = Math.max(0, Math.min(max, Math.round(Number(value) || 0)))
+
+    const parts = []
+    for (let i = 0; i < count; i++) {
+        parts.push(remaining % base)
+        remaining = Math.floor(remaining / base)
+    }
+    return parts
+}
+
+/**
+ * The value the digits / bits last sent stand for - the reverse of decomposeValue
+ * @param {{mode: string, addresses: string[]}} decompose
+ * @param {any[]} parts - Last value sent to each address (bits may be true / false), lowest first
+ * @returns {number|undefined} undefined until every address has been sent
+ */
+const composeValue = (decompose, parts) => {
+    if (!parts.every(part => typeof part === 'number' || typeof part === 'boolean')) return undefined
+    const base = decompose.mode === 'bits' ? 2 : 10
+    return parts.reduce((total, part, i) => total + Number(part) * Math.pow(base, i), 0)
+}
+
+exports.validateDecompose = validateDecompose
+exports.getParameterAddresses = getParameterAddresses
+exports.decomposeValue = decomposeValue
+exports.composeValue = composeValue
@@ -0,0 +1,298 @@
+/**
+ * Small expression language for the "value" field in osc_parameters.json
+ *
+ * Supports numbers, named variables (heartRate, avgHeartRate, ...), + - * / %,
+ * comparisons, && || !, "cond ? a : b" and a few functions (min, max, clamp,
+ * lerp, round, if, ...). Expressions are parsed once and never passed to eval.
+ */
+
+/**
+ * Variables that may be used in expressions
+ */
+const EXPRESSION_VARIABLES = ['heartRate', 'avgHeartRate', 'restingHeartRate', 'sessionMin', 'sessionMax', 'trend', 'trendSlope', 'zone', 'dataAge']
+
+/**
+ * Functions that may be used in expressions, with their allowed argument counts
+ */
+const EXPRESSION_FUNCTIONS = {
+    min: { minArgs: 1, maxArgs: Infinity, fn: (...args) => Math.min(...args) },
+    max: { minArgs: 1, maxArgs: Infinity, fn: (...args) => Math.max(...args) },
+    clamp: { minArgs: 3, maxArgs: 3, fn: (value, min, max) => Math.max(min, Math.min(max, value)) },
+    lerp: { minArgs: 3, maxArgs: 3, fn: (a, b, t) => a + (b - a) * t },
+    round: {
+        minArgs: 1, maxArgs: 2, fn: (value, digits = 0) => {
+            const factor = Math.pow(10, digits)
+            return Math.round(value * factor) / factor
+        }
+    },
+    floor: { minArgs: 1, maxArgs: 1, fn: Math.floor },
+    ceil: { minArgs: 1, maxArgs: 1, fn: Math.ceil },
+    abs: { minArgs: 1, maxArgs: 1, fn: Math.abs },
+    if: { minArgs: 3, maxArgs: 3, fn: (condition, whenTrue, whenFalse) => condition ? whenTrue : whenFalse }
+}
+
+// Longest operators first so "<=" wins over "<"
+const OPERATORS = ['<=', '>=', '==', '!=', '&&', '||', '+', '-', '*', '/', '%', '<', '>', '!', '?', ':', '(', ')', ',']
+
+/**
+ * Create an error that carries the 1-based character position it refers to
+ * @param {string} message
+ * @param {number} index - 0-based index into the source
+ * @returns {Error}
+ */
+const positionError = (message, index) => {
+    const err = new Error(`${message} at position ${index + 1}`)
+    err.position = index + 1
+    return err
+}
+
+/**
+ * Split an expression into tokens
+ * @param {string} source
+ * @returns {{type: string, value: any, index: number}[]}
+ */
+const tokenize = (source) => {
+    const tokens = []
+    let i = 0
+
+    while (i < source.length) {
+        const char = source[i]
+
+        if (/\s/.test(char)) {
+            i++
+            continue
+        }
+
+        const numberMatch = /^(\d+\.?\d*|\.\d+)/.exec(source.slice(i))
+        if (numberMatch) {
+            tokens.push({ type: 'number', value: parseFloat(numberMatch[0]), index: i })
+            i += numberMatch[0].length
+            continue
+        }
+
+        const nameMatch = /^[A-Za-z_][A-Za-z0-9_]*/.exec(source.slice(i))
+        if (nameMatch) {
+            tokens.push({ type: 'name', value: nameMatch[0], index: i })
+            i += nameMatch[0].length
+            continue
+        }
+
+        const operator = OPERATORS.find(op => source.startsWith(op, i))
+        if (operator) {
+            tokens.push({ type: 'op', value: operator, index: i })
+            i += operator.length
+            continue
+        }
+
+        throw positionError(`Unexpected character "${char}"`, i)
+    }
+
+    tokens.push({ type: 'end', value: null, index: source.length })
+    return tokens
+}
+
+/**
+ * Parse an expression into a syntax tree
+ * @param {string} source
+ * @param {string[]} [variables] - Allowed variable names
+ * @returns {object}
+ */
+const parseExpression = (source, variables = EXPRESSION_VARIABLES) => {
+    const tokens = tokenize(source)
+    let pos = 0
+
+    const peek = () => tokens[pos]
+    const isOp = (value) => peek().type === 'op' && peek().value === value
+    const describe = (token) => token.type === 'end' ? 'end of expression' : `"${token.value}"`
+
+    const expect = (value) => {
+        if (!isOp(value)) {
+            throw positionError(`Expected "${value}" but found ${describe(peek())}`, peek().index)
+        }
+        return tokens[pos++]
+    }
+
+    // Left-associative binary operator level
+    const binaryLevel = (operators, next) => () => {
+        let left = next()
+        while (peek().type === 'op' && operators.includes(peek().value)) {
+            const op = tokens[pos++].value
+            left = { type: 'binary', op, left, right: next() }
+        }
+        return left
+    }
+
+    const parsePrimary = () => {
+        const token = peek()
+
+        if (token.type === 'number') {
+            pos++
+            return { type: 'number', value: token.value }
+        }
+
+        if (token.type === 'name') {
+            pos++
+            if (token.value === 'true' || token.value === 'false') {
+                return { type: 'literal', value: token.value === 'true' }
+            }
+
+            if (isOp('(')) {
+                // Own properties only - "toString" or "constructor" aren't functions of the language
+                const func = Object.hasOwn(EXPRESSION_FUNCTIONS, token.value) ? EXPRESSION_FUNCTIONS[token.value] : null
+                if (!func) {
+                    throw positionError(`Unknown function "${token.value}"`, token.index)
+                }
+                pos++
+                const args = []
+                if (!isOp(')')) {
+                    args.push(parseTernary())
+                    while (isOp(',')) {
+                        pos++
+                        args.push(parseTernary())
+                    }
+                }
+                expect(')')
+                if (args.length < func.minArgs || args.length > func.maxArgs) {
+                    const expected = func.minArgs === func.maxArgs ? func.minArgs
+                        : func.maxArgs === Infinity ? `at least ${func.minArgs}` : `${func.minArgs}-${func.maxArgs}`
+                    throw positionError(`Function "${token.value}" takes ${expected} argument(s), got ${args.length}`, token.index)
+                }
+                return { type: 'call', name: token.value, args }
+            }
+
+            if (!variables.includes(token.value)) {
+                throw positionError(`Unknown variable "${token.value}"`, token.index)
+            }
+            return { type: 'variable', name: token.value }
+        }
+
+        if (isOp('(')) {
+            pos++
+            const inner = parseTernary()
+            expect(')')
+            return inner
+        }
+
+        throw positionError(`Unexpected ${describe(token)}`, token.index)
+    }
+
+    const parseUnary = () => {
+        if (isOp('-') || isOp('+') || isOp('!')) {
+            const op = tokens[pos++].value
+            return { type: 'unary', op, operand: parseUnary() }
+        }
+        return parsePrimary()
+    }
+
+    const parseMultiplicative = binaryLevel(['*', '/', '%'], parseUnary)
+    const parseAdditive = binaryLevel(['+', '-'], parseMultiplicative)
+    const parseComparison = binaryLevel(['<', '<=', '>', '>='], parseAdditive)
+    const parseEquality = binaryLevel(['==', '!='], parseComparison)
+    const parseAnd = binaryLevel(['&&'], parseEquality)
+    const parseOr = binaryLevel(['||'], parseAnd)
+
+    const parseTernary = () => {
+        const test = parseOr()
+        if (!isOp('?')) return test
+        pos++
+        const consequent = parseTernary()
+        expect(':')
+        const alternate = parseTernary()
+        return { type: 'conditional', test, consequent, alternate }
+    }
+
+    if (peek().type === 'end') {
+        throw positionError('Empty expression', 0)
+    }
+
+    const tree = parseTernary()
+    if (peek().type !== 'end') {
+        throw positionError(`Unexpected ${describe(peek())}`, peek().index)
+    }
+    return tree
+}
+
+/**
+ * Evaluate a syntax tree
+ * @param {object} node
+ * @param {Object<string, number>} variables
+ * @returns {number|boolean}
+ */
+const evaluateNode = (node, variables) => {
+    switch (node.type) {
+        case 'number':
+        case 'literal':
+            return node.value
+        case 'variable':
+            if (variables[node.name] === undefined || variables[node.name] === null) {
+                throw new Error(`Variable "${node.name}" has no value yet`)
+            }
+            return variables[node.name]
+        case 'call':
+            return EXPRESSION_FUNCTIONS[node.name].fn(...node.args.map(arg => evaluateNode(arg, variables)))
+        case 'unary': {
+            const operand = evaluateNode(node.operand, variables)
+            if (node.op === '-') return -operand
+            if (node.op === '!') return !operand
+            return +operand
+        }
+        case 'conditional':
+            return evaluateNode(node.test, variables)
+                ? evaluateNode(node.consequent, variables)
+                : evaluateNode(node.alternate, variables)
+        case 'binary': {
+            // Short-circuit logical operators
+            if (node.op === '&&') return Boolean(evaluateNode(node.left, variables) && evaluateNode(node.right, variables))
+            if (node.op === '||') return Boolean(evaluateNode(node.left, variables) || evaluateNode(node.right, variables))
+
+            const left = evaluateNode(node.left, variables)
+            const right = evaluateNode(node.right, variables)
+            switch (node.op) {
+                case '+': return left + right
+                case '-': return left - right
+                case '*': return left * right
+                case '/': return left / right
+                case '%': return left % right
+                case '<': return left < right
+                case '<=': return left <= right
+                case '>': return left > right
+                case '>=': return left >= right
+                case '==': return left === right
+                case '!=': return left !== right
+            }
+        }
+    }
+    throw new Error(`Unknown expression node "${node.type}"`)
+}
+
+// Parsed expressions, keyed by source text - cleared on config reload so edited expressions don't pile up
+const compiled = new Map()
+
+/**
+ * Parse (once) and evaluate an expression
+ * @param {string} source
+ * @param {Object<string, number>} variables
+ * @returns {number|boolean}
+ */
+const evaluateExpression = (source, variables) => {
+    if (!compiled.has(source)) {
+        compiled.set(source, parseExpression(source))
+    }
+    return evaluateNode(compiled.get(source), variables)
+}
+
+/**
+ * Forget all parsed expressions
+ * @returns {number} How many were forgotten
+ */
+const clearExpressionCache = () => {
+    const count = compiled.size
+    compiled.clear()
+    return count
+}
+
+exports.EXPRESSION_VARIABLES = EXPRESSION_VARIABLES
+exports.EXPRESSION_FUNCTIONS = EXPRESSION_FUNCTIONS
+exports.parseExpression = parseExpression
+exports.evaluateExpression = evaluateExpression
+exports.clearExpressionCache = clearExpressionCache
@@ -0,0 +1,152 @@
+/**
+ * What a parameter does when heart rate data goes stale ("onStale") or the
+ * source disconnects ("onDisconnect")
+ *
+ * - "hold" keeps the last value (the default)
+ * - { "reset": value } sends a constant once
+ * - { "fade": value, "seconds": N } moves from the last value to a constant over N seconds
+ */
+
+const { systemClock } = require('./clock')
+const { getParameterAddresses } = require('./decompose')
+
+/**
+ * How often fading values are sent
+ */
+const FADE_FRAME_MS = 100
+
+/**
+ * Validate a parameter's "onStale" or "onDisconnect" setting
+ * @param {object} param
+ * @param {'onStale'|'onDisconnect'} field
+ * @returns {string|null} Error message, or null if valid
+ */
+const validateFallback = (param, field) => {
+    const fallback = param[field]
+
+    if (['connectionStatus', 'pulse'].includes(param.value)) {
+        return `"${field}" cannot be used with "${param.value}" - it already handles lost data`
+    }
+
+    if (fallback === 'hold') return null
+
+    if (typeof fallback !== 'object' || fallback === null || Array.isArray(fallback)) {
+        return `"${field}" must be "hold", { "reset": value } or { "fade": value, "seconds": 5 }`
+    }
+
+    const known = ['reset', 'fade', 'seconds']
+    const unknown = Object.keys(fallback).find(key => !key.startsWith('_') && !known.includes(key))
+    if (unknown !== undefined) {
+        return `Unknown "${field}" setting "${unknown}". Use: ${known.join(', ')}`
+    }
+
+    const hasReset = fallback.reset !== undefined
+    const hasFade = fallback.fade !== undefined
+    if (hasReset === hasFade) {
+        return `"${field}" must have either "reset" or "fade"`
+    }
+
+    // A decompose parameter is reset to a number, whatever type its digits / bits are sent as
+    const value = hasReset ? fallback.reset : fallback.fade
+    const key = hasReset ? 'reset' : 'fade'
+    const isBool = param.type === 'bool' && param.decompose === undefined
+    if (isBool && typeof value !== 'boolean') {
+        return `"${field}.${key}" must be true or false for a bool parameter`
+    }
+    if (!isBool && typeof value !== 'number') {
+        return `"${field}.${key}" must be a number`
+    }
+
+    if (hasReset) {
+        if (fallback.seconds !== undefined) {
+            return `"${field}.seconds" only applies to "fade"`
+        }
+        return null
+    }
+
+    if (param.decompose !== undefined) {
+        return `"${field}.fade" can't be used with "decompose" - use "reset"`
+    }
+
+    if (param.type === 'bool') {
+        return `"${field}.fade" can't be used with type "bool" - use "reset"`
+    }
+
+    if (typeof fallback.seconds !== 'number' || fallback.seconds <= 0) {
+        return `"${field}.seconds" must be a positive number`
+    }
+
+    return null
+}
+
+/**
+ * Create the runner that resets and fades parameters when data is lost
+ * @param {object} options
+ * @param {(param: object, value: number|boolean) => void} options.send
+ * @param {(param: object) => any} options.getLastValue - Last value sent for a parameter, fades start there
+ * @param {import('./clock').Clock} [options.clock]
+ * @returns {{apply: (parameters: object[], field: string, options?: {immediate?: boolean}) => void, cancel: () => void}}
+ */
+const createFallbackRunner = ({ send, getLastValue, clock = systemClock }) => {
+    // Running fades by parameter (first) address - decompose parameters have no "address" of their own
+    const fades = new Map()
+    const fadeKey = (param) => getParameterAddresses(param)[0]
+
+    const stopFade = (address) => {
+        clock.clearInterval(fades.get(address))
+        fades.delete(address)
+    }
+
+    const startFade = (param, from, to, seconds) => {
+        const startTime = clock.now()
+        const duration = seconds * 1000
+
+        const frame = () => {
+            const progress = Math.min(1, (clock.now() - startTime) / duration)
+            send(param, from + (to - from) * progress)
+            if (progress === 1) stopFade(fadeKey(param))
+        }
+
+        fades.set(fadeKey(param), clock.setInterval(frame, FADE_FRAME_MS))
+        frame()
+    }
+
+    /**
+     * Apply every parameter's "onStale" or "onDisconnect" setting
+     * @param {object[]} parameters
+     * @param {'onStale'|'onDisconnect'} field
+     * @param {{immediate?: boolean}} [options] - immediate skips fades straight to their end value (on shutdown)
+     */
+    const apply = (parameters, field, { immediate = false } = {}) => {
+        parameters.forEach(param => {
+            const fallback = param[field]
+            if (fallback === undefined || fallback === 'hold') return
+
+            stopFade(fadeKey(param))
+
+            if (fallback.reset !== undefined) {
+                send(param, fallback.reset)
+                return
+            }
+
+            const from = getLastValue(param)
+            if (immediate || typeof from !== 'number') {
+                send(param, fallback.fade)
+                return
+            }
+            startFade(param, from, fallback.fade, fallback.seconds)
+        })
+    }
+
+    /**
+     * Stop all fades - data is back
+     */
+    const cancel = () => {
+        fades.forEach((_, address) => stopFade(address))
+    }
+
+    return { apply, cancel }
+}
+
+exports.validateFallback = validateFallback
+exports.createFallbackRunner = createFallbackRunner
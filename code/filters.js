@@ -0,0 +1,108 @@
+/**
+ * Per-parameter smoothing filters for heart rate readings
+ *
+ * Stages always run in this order: median -> ema -> maxRate -> deadband
+ */
+
+/**
+ * Validate a parameter "filter" block
+ * @param {any} filter
+ * @returns {string|null} Error message, or null if valid
+ */
+const validateFilter = (filter) => {
+    if (typeof filter !== 'object' || filter === null || Array.isArray(filter)) {
+        return '"filter" must be an object like { "ema": 0.3 }'
+    }
+
+    const known = ['median', 'ema', 'maxRate', 'deadband']
+    const unknown = Object.keys(filter).find(key => !key.startsWith('_') && !known.includes(key))
+    if (unknown !== undefined) {
+        return `Unknown filter "${unknown}". Use: ${known.join(', ')}`
+    }
+
+    if (filter.median !== undefined && (!Number.isInteger(filter.median) || filter.median < 1)) {
+        return '"filter.median" must be a whole number of readings (1 or more)'
+    }
+
+    if (filter.ema !== undefined && (typeof filter.ema !== 'number' || filter.ema <= 0 || filter.ema > 1)) {
+        return '"filter.ema" must be a number above 0 and up to 1'
+    }
+
+    if (filter.maxRate !== undefined && (typeof filter.maxRate !== 'number' || filter.maxRate <= 0)) {
+        return '"filter.maxRate" must be a positive number (BPM per second)'
+    }
+
+    if (filter.deadband !== undefined && (typeof filter.deadband !== 'number' || filter.deadband < 0)) {
+        return '"filter.deadband" must be a number of 0 or more'
+    }
+
+    return null
+}
+
+/**
+ * Median of a list of numbers
+ * @param {number[]} values
+ * @returns {number}
+ */
+const median = (values) => {
+    const sorted = [...values].sort((a, b) => a - b)
+    const middle = Math.floor(sorted.length / 2)
+    return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2
+}
+
+/**
+ * Create a stateful filter for one parameter
+ * @param {{median?: number, ema?: number, maxRate?: number, deadband?: number}} filter
+ * @returns {{apply: (value: number, time: number) => number, reset: () => void}}
+ */
+const createFilter = (filter) => {
+    let window = []
+    let emaValue = null
+    let rateValue = null
+    let rateTime = null
+    let output = null
+
+    const reset = () => {
+        window = []
+        emaValue = null
+        rateValue = null
+        rateTime = null
+        output = null
+    }
+
+    const apply = (value, time) => {
+        let result = value
+
+        if (filter.median) {
+            window.push(result)
+            if (window.length > filter.median) window.shift()
+            result = median(window)
+        }
+
+        if (filter.ema) {
+            emaValue = emaValue === null ? result : filter.ema * result + (1 - filter.ema) * emaValue
+            result = emaValue
+        }
+
+        if (filter.maxRate) {
+            if (rateValue !== null) {
+                const maxStep = filter.maxRate * (time - rateTime) / 1000
+                result = rateValue + Math.max(-maxStep, Math.min(maxStep, result - rateValue))
+            }
+            rateValue = result
+            rateTime = time
+        }
+
+        if (filter.deadband !== undefined && output !== null && Math.abs(result - output) < filter.deadband) {
+            return output
+        }
+
+        output = result
+        return output
+    }
+
+    return { apply, reset }
+}
+
+exports.validateFilter = validateFilter
+exports.createFilter = createFilter
@@ -0,0 +1,23 @@
+/**
+ * Library entry point - embed the bridge in other tools:
+ *
+ *   const { PulsoidOscBridge } = require('pulsoid-widget-osc')
+ *   const bridge = new PulsoidOscBridge({ widgetId, configPath })
+ *   bridge.on('heartRate', (heartRate) => { ... })
+ *   await bridge.start()
+ */
+
+const { PulsoidOscBridge, loadOSCConfig, validateOSCConfig, mapRange, evaluateParameterValue } = require('./widget')
+const { parseExpression, evaluateExpression } = require('./expression')
+const { systemClock } = require('./clock')
+const { createLogger } = require('./logger')
+
+exports.PulsoidOscBridge = PulsoidOscBridge
+exports.loadOSCConfig = loadOSCConfig
+exports.validateOSCConfig = validateOSCConfig
+exports.mapRange = mapRange
+exports.evaluateParameterValue = evaluateParameterValue
+exports.parseExpression = parseExpression
+exports.evaluateExpression = evaluateExpression
+exports.systemClock = systemClock
+exports.createLogger = createLogger
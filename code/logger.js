@@ -0,0 +1,238 @@
+/**
+ * Logger for everything the bridge prints
+ *
+ * Text output keeps the familiar "[STATUS] ..." lines; JSON output writes one
+ * object per line for other tools. Settings come from the "logging" config
+ * section, with command line options on top.
+ */
+
+const fs = require('fs')
+const path = require('path')
+const { format: formatMessage } = require('util')
+
+/**
+ * Log levels, most verbose first
+ */
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error']
+
+const LOG_FORMATS = ['text', 'json']
+
+/**
+ * Settings used when neither the config nor the command line sets them
+ */
+const DEFAULT_LOG_SETTINGS = {
+    level: 'info',
+    heartRate: true,
+    format: 'text',
+    file: null,
+    maxSizeMB: 5,
+    maxFiles: 3
+}
+
+/**
+ * Validate the "logging" config section
+ * @param {any} logging
+ * @returns {string|null} Error message, or null if valid
+ */
+const validateLogging = (logging) => {
+    if (typeof logging !== 'object' || logging === null || Array.isArray(logging)) {
+        return 'Config "logging" must be an object'
+    }
+
+    if (logging.level !== undefined && !LOG_LEVELS.includes(logging.level)) {
+        return `Logging: "level" must be one of: ${LOG_LEVELS.join(', ')}`
+    }
+
+    if (logging.heartRate !== undefined && typeof logging.heartRate !== 'boolean') {
+        return 'Logging: "heartRate" must be true or false'
+    }
+
+    if (logging.format !== undefined && !LOG_FORMATS.includes(logging.format)) {
+        return `Logging: "format" must be one of: ${LOG_FORMATS.join(', ')}`
+    }
+
+    if (logging.file !== undefined && logging.file !== null && (typeof logging.file !== 'string' || logging.file === '')) {
+        return 'Logging: "file" must be a file path'
+    }
+
+    if (logging.maxSizeMB !== undefined && (typeof logging.maxSizeMB !== 'number' || logging.maxSizeMB <= 0)) {
+        return 'Logging: "maxSizeMB" must be a positive number'
+    }
+
+    if (logging.maxFiles !== undefined && (!Number.isInteger(logging.maxFiles) || logging.maxFiles < 1)) {
+        return 'Logging: "maxFiles" must be a whole number of 1 or more'
+    }
+
+    return null
+}
+
+/**
+ * Append-only log file that rotates by size: app.log -> app.log.1 -> app.log.2 ...
+ * @param {string} file
+ * @param {number} maxSizeMB
+ * @param {number} maxFiles - Rotated files to keep, besides the current one
+ * @returns {{write: (line: string) => void, close: () => void}}
+ */
+const openLogFile = (file, maxSizeMB, maxFiles) => {
+    fs.mkdirSync(path.dirname(file), { recursive: true })
+    let fd = fs.openSync(file, 'a')
+    let size = fs.fstatSync(fd).size
+
+    const rotate = () => {
+        fs.closeSync(fd)
+        for (let i = maxFiles - 1; i >= 1; i--) {
+            if (fs.existsSync(`${file}.${i}`)) fs.renameSync(`${file}.${i}`, `${file}.${i + 1}`)
+        }
+        fs.renameSync(file, `${file}.1`)
+        fd = fs.openSync(file, 'a')
+        size = 0
+    }
+
+    const write = (line) => {
+        const bytes = Buffer.byteLength(line)
+        if (size > 0 && size + bytes > maxSizeMB * 1024 * 1024) rotate()
+        fs.writeSync(fd, line)
+        size += bytes
+    }
+
+    const close = () => fs.closeSync(fd)
+
+    return { write, close }
+}
+
+/**
+ * @typedef {object} Logger
+ * @property {(format: string, ...args: any[]) => void} debug
+ * @property {(format: string, ...args: any[]) => void} info
+ * @property {(format: string, ...args: any[]) => void} status - Connection and startup progress (info level)
+ * @property {(format: string, ...args: any[]) => void} warn
+ * @property {(format: string, ...args: any[]) => void} error
+ * @property {(level: string, format: string, ...args: any[]) => void} hint - Guidance after a warning or error, shown at its level
+ * @property {(heartRate: number, widget?: string) => void} heartRate - Per-reading "[HR]" line, can be turned off on its own
+ * @property {(text: string) => void} plain - Untagged text like the startup banner (text format only)
+ */
+
+/**
+ * Create a logger
+ * @param {object} [overrides] - Settings that win over the config (from the command line)
+ * @param {object} [options]
+ * @param {(line: string) => void} [options.write] - Console output. Default: stdout
+ * @param {() => number} [options.now] - Time for timestamps. Default: Date.now
+ * @returns {Logger & {configure: (logging?: object, baseDir?: string) => void, setOverrides: (overrides: object) => void, close: () => void}}
+ */
+const createLogger = (overrides = {}, { write = (line) => process.stdout.write(line), now = Date.now } = {}) => {
+    let configured = {}
+    let settings = null
+    let logFile = null
+    let logFileKey = null
+
+    const apply = () => {
+        settings = { ...DEFAULT_LOG_SETTINGS, ...configured, ...overrides }
+
+        // Only reopen the file when its settings changed
+        const key = settings.file ? JSON.stringify([settings.file, settings.maxSizeMB, settings.maxFiles]) : null
+        if (key === logFileKey) return
+        if (logFile) logFile.close()
+        logFile = null
+        logFileKey = key
+        if (!settings.file) return
+
+        try {
+            logFile = openLogFile(settings.file, settings.maxSizeMB, settings.maxFiles)
+        } catch (err) {
+            write(`[ERROR] Could not open log file ${settings.file}: ${err.message}\n`)
+        }
+    }
+
+    // A full disk or a failed rotation stops the file, not the bridge - the console keeps the log
+    const writeToFile = (line) => {
+        if (!logFile) return
+        try {
+            logFile.write(line)
+        } catch (err) {
+            write(`[ERROR] Stopped writing log file ${settings.file}: ${err.message}\n`)
+            try {
+                logFile.close()
+            } catch (closeErr) {
+                // Already broken - nothing left to close
+            }
+            logFile = null
+        }
+    }
+
+    const entry = (level, tag, text, fields) => {
+        if (LOG_LEVELS.indexOf(level) < LOG_LEVELS.indexOf(settings.level)) return
+
+        const time = new Date(now()).toISOString()
+        if (settings.format === 'json') {
+            const line = JSON.stringify({ time, level, tag, message: text, ...fields }) + '\n'
+            write(line)
+            writeToFile(line)
+            return
+        }
+
+        const line = tag ? `[${tag}] ${text}` : text
+        write(line + '\n')
+        writeToFile(`${time} ${line}\n`)
+    }
+
+    /**
+     * Use the "logging" config section - command line overrides still win
+     * @param {object} [logging]
+     * @param {string} [baseDir] - Relative "file" paths are relative to this (the config's folder)
+     */
+    const configure = (logging = {}, baseDir = process.cwd()) => {
+        configured = { ...logging }
+        if (configured.file) configured.file = path.resolve(baseDir, configured.file)
+        apply()
+    }
+
+    /**
+     * Replace the command line settings
+     * @param {object} newOverrides
+     */
+    const setOverrides = (newOverrides) => {
+        overrides = { ...newOverrides }
+        if (overrides.file) overrides.file = path.resolve(overrides.file)
+        apply()
+    }
+
+    const close = () => {
+        if (logFile) logFile.close()
+        logFile = null
+        logFileKey = null
+    }
+
+    setOverrides(overrides)
+
+    return {
+        debug: (format, ...args) => entry('debug', 'DEBUG', formatMessage(format, ...args)),
+        info: (format, ...args) => entry('info', 'INFO', formatMessage(format, ...args)),
+        status: (format, ...args) => entry('info', 'STATUS', formatMessage(format, ...args)),
+        warn: (format, ...args) => entry('warn', 'WARNING', formatMessage(format, ...args)),
+        error: (format, ...args) => entry('error', 'ERROR', formatMessage(format, ...args)),
+        hint: (level, format, ...args) => entry(level, 'INFO', formatMessage(format, ...args)),
+        heartRate: (heartRate, widget) => {
+            if (!settings.heartRate) return
+            if (widget) entry('info', 'HR', `${widget}: ${heartRate} bpm`, { heartRate, widget })
+            else entry('info', 'HR', `${heartRate} bpm`, { heartRate })
+        },
+        plain: (text) => {
+            if (settings.format === 'text') entry('info', null, text)
+        },
+        configure,
+        setOverrides,
+        close
+    }
+}
+
+/**
+ * Shared logger - used by default everywhere, set up by the command line
+ */
+const logger = createLogger()
+
+exports.LOG_LEVELS = LOG_LEVELS
+exports.LOG_FORMATS = LOG_FORMATS
+exports.validateLogging = validateLogging
+exports.createLogger = createLogger
+exports.logger = logger
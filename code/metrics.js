@@ -0,0 +1,176 @@
+/**
+ * Prometheus metrics - a local /metrics endpoint for graphing the bridge's health
+ */
+
+const http = require('http')
+const { logger } = require('./logger')
+
+/**
+ * Default metrics address - localhost only, like the dashboard
+ */
+const DEFAULT_HOST = '127.0.0.1'
+const DEFAULT_PORT = 9464
+
+/**
+ * Counters by name, with their help text
+ */
+const COUNTERS = {
+    pulsoid_bridge_messages_total: 'Messages received from the Pulsoid WebSocket',
+    pulsoid_bridge_parse_failures_total: 'Pulsoid messages that were not valid JSON',
+    pulsoid_bridge_messages_without_heart_rate_total: 'Pulsoid messages without a heart rate value',
+    pulsoid_bridge_dropped_readings_total: 'Readings dropped as out of order or later than maxDataAge, by reason',
+    pulsoid_bridge_reconnects_total: 'Reconnect attempts of the heart rate source',
+    pulsoid_bridge_websocket_closes_total: 'Heart rate source connections that closed, by close code',
+    pulsoid_bridge_osc_sends_total: 'OSC messages sent, by parameter and address',
+    pulsoid_bridge_osc_send_errors_total: 'OSC sends that failed'
+}
+
+/**
+ * Validate the "metrics" config section
+ * @param {any} metrics
+ * @returns {string|null} Error message, or null if valid
+ */
+const validateMetrics = (metrics) => {
+    if (typeof metrics !== 'object' || metrics === null || Array.isArray(metrics)) {
+        return 'Config "metrics" must be an object'
+    }
+
+    if (metrics.enabled !== undefined && typeof metrics.enabled !== 'boolean') {
+        return 'Metrics: "enabled" must be true or false'
+    }
+
+    if (metrics.port !== undefined && (!Number.isInteger(metrics.port) || metrics.port < 1 || metrics.port > 65535)) {
+        return 'Metrics: "port" must be a whole number between 1 and 65535'
+    }
+
+    if (metrics.host !== undefined && (typeof metrics.host !== 'string' || metrics.host === '')) {
+        return 'Metrics: "host" must be a hostname or IP address'
+    }
+
+    return null
+}
+
+/**
+ * Labels in Prometheus text format, e.g. {widget="alice",code="1006"} - empty without labels
+ * @param {Object<string, any>} labels - Labels with an undefined or null value are left out
+ * @returns {string}
+ */
+const formatLabels = (labels) => {
+    const pairs = Object.entries(labels)
+        .filter(([, value]) => value !== undefined && value !== null)
+        .map(([name, value]) => `${name}="${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`)
+    return pairs.length > 0 ? `{${pairs.join(',')}}` : ''
+}
+
+/**
+ * Create the metrics endpoint - a no-op when disabled
+ * @param {object|undefined} metrics - "metrics" config section
+ * @param {() => object} getStatus - Current bridge status (heart rate, last data time per widget)
+ * @param {import('./logger').Logger} [log]
+ * @returns {{start: () => void, stop: () => void, message: Function, reconnect: Function, closed: Function, dropped: Function, oscSent: Function, oscSendError: () => void}}
+ */
+const createMetrics = (metrics, getStatus, log = logger) => {
+    const noop = () => { }
+    if (!metrics || metrics.enabled === false) {
+        return { start: noop, stop: noop, message: noop, reconnect: noop, closed: noop, dropped: noop, oscSent: noop, oscSendError: noop }
+    }
+
+    const host = metrics.host || DEFAULT_HOST
+    const port = metrics.port || DEFAULT_PORT
+    let server = null
+
+    // Counter values by name, then by formatted labels
+    const counters = new Map(Object.keys(COUNTERS).map(name => [name, new Map()]))
+    const increment = (name, labels = {}) => {
+        const key = formatLabels(labels)
+        counters.get(name).set(key, (counters.get(name).get(key) || 0) + 1)
+    }
+
+    // Shows 0 from the start, so a rate() over it works before the first error
+    counters.get('pulsoid_bridge_osc_send_errors_total').set('', 0)
+
+    // Gauges are read from the status when scraped
+    const render = () => {
+        const status = getStatus()
+        const streams = status.widgets || [status]
+        const lines = []
+
+        const gauge = (name, help, samples) => {
+            lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} gauge`)
+            samples.forEach(([labels, value]) => lines.push(`${name}${formatLabels(labels)} ${value}`))
+        }
+
+        // No heart rate sample while the data is stale - graphs show a gap instead of a flat line
+        gauge('pulsoid_bridge_heart_rate_bpm', 'Current heart rate', streams
+            .filter(stream => stream.receivingData && stream.heartRate)
+            .map(stream => [{ widget: stream.label }, stream.heartRate]))
+        gauge('pulsoid_bridge_connected', '1 while the heart rate source is connected', streams
+            .map(stream => [{ widget: stream.label }, stream.connected ? 1 : 0]))
+        gauge('pulsoid_bridge_seconds_since_last_data', 'Seconds since the last heart rate reading', streams
+            .filter(stream => stream.lastDataTime)
+            .map(stream => [{ widget: stream.label }, (status.serverTime - stream.lastDataTime) / 1000]))
+        gauge('pulsoid_bridge_latency_seconds', 'Time from measurement to OSC send of the last reading', streams
+            .filter(stream => stream.latency !== null && stream.latency !== undefined)
+            .map(stream => [{ widget: stream.label }, stream.latency / 1000]))
+
+        counters.forEach((values, name) => {
+            lines.push(`# HELP ${name} ${COUNTERS[name]}`, `# TYPE ${name} counter`)
+            values.forEach((value, labels) => lines.push(`${name}${labels} ${value}`))
+        })
+
+        return lines.join('\n') + '\n'
+    }
+
+    const start = () => {
+        server = http.createServer((req, res) => {
+            if (req.url === '/metrics') {
+                res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' })
+                res.end(render())
+                return
+            }
+
+            res.writeHead(404, { 'Content-Type': 'text/plain' })
+            res.end('Not found')
+        })
+
+        server.on('error', (err) => {
+            // Metrics are optional - keep the bridge running without them
+            log.error('Metrics endpoint could not start: %s', err.message)
+            if (err.code === 'EADDRINUSE') {
+                log.hint('error', 'Port %d is in use - set another "port" in the metrics config', port)
+            }
+        })
+
+        server.listen(port, host, () => {
+            log.status('Metrics at http://%s:%d/metrics', host, port)
+        })
+    }
+
+    const stop = () => {
+        if (server) server.close()
+    }
+
+    return {
+        start,
+        stop,
+        /**
+         * A Pulsoid message arrived
+         * @param {string|null} widget
+         * @param {'reading'|'parseFailure'|'noHeartRate'} result
+         */
+        message: (widget, result) => {
+            increment('pulsoid_bridge_messages_total', { widget })
+            if (result === 'parseFailure') increment('pulsoid_bridge_parse_failures_total', { widget })
+            if (result === 'noHeartRate') increment('pulsoid_bridge_messages_without_heart_rate_total', { widget })
+        },
+        reconnect: (widget) => increment('pulsoid_bridge_reconnects_total', { widget }),
+        closed: (widget, code) => increment('pulsoid_bridge_websocket_closes_total', { widget, code }),
+        dropped: (widget, reason) => increment('pulsoid_bridge_dropped_readings_total', { widget, reason }),
+        oscSent: (parameter, address) => increment('pulsoid_bridge_osc_sends_total', { parameter, address }),
+        oscSendError: () => increment('pulsoid_bridge_osc_send_errors_total')
+    }
+}
+
+exports.validateMetrics = validateMetrics
+exports.formatLabels = formatLabels
+exports.createMetrics = createMetrics
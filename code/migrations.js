@@ -0,0 +1,87 @@
+/**
+ * "configVersion" and upgrades of config files written for older versions
+ *
+ * Files without "configVersion" are version 1. Each migration takes a config
+ * one version up, so a file of any age can be brought to CONFIG_VERSION.
+ */
+
+const { EXPRESSION_FUNCTIONS } = require('./expression')
+
+/**
+ * Version of the config format this code reads and writes
+ */
+const CONFIG_VERSION = 2
+
+/**
+ * Every parameter list in a config - the top-level one and each avatar profile's
+ * @param {object} config
+ * @returns {object[][]}
+ */
+const parameterLists = (config) => {
+    const lists = [config.parameters]
+    const profiles = config.avatarProfiles?.profiles
+    if (typeof profiles === 'object' && profiles !== null) {
+        Object.values(profiles).forEach(profile => lists.push(profile?.parameters))
+    }
+    return lists.filter(Array.isArray)
+}
+
+/**
+ * Migrations by the version they produce - anything beyond a rewrite of the same
+ * settings is reported with note(path, message)
+ */
+const MIGRATIONS = {
+    // Version 1 expressions ran through eval, and the disconnect status always went to
+    // /avatar/parameters/isHRConnected - now only "connectionStatus" parameters get it
+    2: (config, note) => {
+        parameterLists(config).forEach(parameters => parameters.forEach(param => {
+            if (typeof param?.value !== 'string') return
+            param.value = param.value
+                .replace(/Math\.(\w+)/g, (match, name) => Object.hasOwn(EXPRESSION_FUNCTIONS, name) ? name : match)
+                .replace(/([=!])==/g, '$1=')
+        }))
+
+        const parameters = Array.isArray(config.parameters) ? config.parameters : []
+        if (parameters.length > 0 && !parameters.some(param =>
+            param?.value === 'connectionStatus' || param?.address === '/avatar/parameters/isHRConnected')) {
+            parameters.unshift({ name: 'isHRConnected', address: '/avatar/parameters/isHRConnected', type: 'bool', value: 'connectionStatus' })
+            note('parameters', 'added "isHRConnected" (connectionStatus to /avatar/parameters/isHRConnected), which version 1 always sent - remove it if your avatar doesn\'t use it')
+        }
+
+        return config
+    }
+}
+
+/**
+ * Bring a config up to CONFIG_VERSION - the object passed in is left as it is
+ * @param {object} config
+ * @returns {{config?: object, from?: number, changes?: {path: string, message: string}[], error?: string}} from and changes are set when the config was migrated
+ */
+const migrateConfig = (config) => {
+    const version = config.configVersion === undefined ? 1 : config.configVersion
+
+    if (!Number.isInteger(version) || version < 1) {
+        return { error: 'must be a whole number of 1 or more' }
+    }
+
+    if (version > CONFIG_VERSION) {
+        return { error: `${version} is newer than this version of the bridge understands (${CONFIG_VERSION}) - update the bridge` }
+    }
+
+    if (version === CONFIG_VERSION) return { config }
+
+    let migrated = JSON.parse(JSON.stringify(config))
+    const changes = []
+    for (let next = version + 1; next <= CONFIG_VERSION; next++) {
+        migrated = MIGRATIONS[next](migrated, (path, message) => changes.push({ path, message }))
+    }
+
+    // Keep "$schema" first, then the version, then everything else in its old order
+    delete migrated.configVersion
+    const { $schema, ...rest } = migrated
+    const schema = $schema === undefined ? {} : { $schema }
+    return { config: { ...schema, configVersion: CONFIG_VERSION, ...rest }, from: version, changes }
+}
+
+exports.CONFIG_VERSION = CONFIG_VERSION
+exports.migrateConfig = migrateConfig
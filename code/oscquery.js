@@ -0,0 +1,311 @@
+const http = require('http')
+const dgram = require('dgram')
+const multicastDns = require('multicast-dns')
+const { Server } = require('node-osc')
+
+/**
+ * mDNS service types used by OSCQuery
+ */
+const OSCQUERY_SERVICE = '_oscjson._tcp.local'
+const OSC_SERVICE = '_osc._udp.local'
+
+/**
+ * VRChat advertises itself as "VRChat-Client-XXXXXX"
+ */
+const VRCHAT_SERVICE_PREFIX = 'VRChat-Client'
+
+const DEFAULT_DISCOVERY_TIMEOUT = 5
+
+/**
+ * Validate the "oscquery" config section
+ * @param {any} oscquery
+ * @param {Set<string>} targetNames - Names from the top-level "targets" list
+ * @returns {string|null} Error message, or null if valid
+ */
+const validateOSCQuery = (oscquery, targetNames) => {
+    if (typeof oscquery !== 'object' || oscquery === null || Array.isArray(oscquery)) {
+        return 'Config "oscquery" must be an object'
+    }
+
+    if (oscquery.enabled !== undefined && typeof oscquery.enabled !== 'boolean') {
+        return 'OSCQuery: "enabled" must be true or false'
+    }
+
+    if (oscquery.target !== undefined && !targetNames.has(oscquery.target)) {
+        return `OSCQuery: Unknown target "${oscquery.target}". Defined targets: ${[...targetNames].join(', ')}`
+    }
+
+    if (oscquery.discoveryTimeout !== undefined && (typeof oscquery.discoveryTimeout !== 'number' || oscquery.discoveryTimeout <= 0)) {
+        return 'OSCQuery: "discoveryTimeout" must be a positive number of seconds'
+    }
+
+    if (oscquery.advertise !== undefined && typeof oscquery.advertise !== 'boolean') {
+        return 'OSCQuery: "advertise" must be true or false'
+    }
+
+    return null
+}
+
+/**
+ * GET a JSON document over HTTP
+ * @param {string} host
+ * @param {number} port
+ * @param {string} path
+ * @param {number} [timeout] - Milliseconds
+ * @returns {Promise<any>}
+ */
+const getJSON = (host, port, path, timeout = 3000) => new Promise((resolve, reject) => {
+    const req = http.get({ host, port, path, timeout }, (res) => {
+        let body = ''
+        res.setEncoding('utf-8')
+        res.on('data', chunk => { body += chunk })
+        res.on('end', () => {
+            if (res.statusCode !== 200) {
+                reject(new Error(`HTTP ${res.statusCode} for ${path}`))
+                return
+            }
+            try {
+                resolve(JSON.parse(body))
+            } catch (err) {
+                reject(new Error(`Invalid JSON from ${path}`))
+            }
+        })
+    })
+    req.on('timeout', () => req.destroy(new Error(`Timed out reading ${path}`)))
+    req.on('error', reject)
+})
+
+/**
+ * Collect the full path of every leaf node in an OSCQuery tree
+ * @param {object} node
+ * @param {Set<string>} [paths]
+ * @returns {Set<string>}
+ */
+const collectPaths = (node, paths = new Set()) => {
+    if (!node || typeof node !== 'object') return paths
+    if (node.CONTENTS) {
+        Object.values(node.CONTENTS).forEach(child => collectPaths(child, paths))
+    } else if (node.FULL_PATH) {
+        paths.add(node.FULL_PATH)
+    }
+    return paths
+}
+
+/**
+ * Read which avatar parameters exist from a VRChat OSCQuery HTTP server
+ * @param {string} host
+ * @param {number} httpPort
+ * @returns {Promise<Set<string>>}
+ */
+const readAvatarParameters = async (host, httpPort) => {
+    return collectPaths(await getJSON(host, httpPort, '/avatar/parameters'))
+}
+
+/**
+ * Read the ID of the avatar VRChat currently has loaded
+ * @param {string} host
+ * @param {number} httpPort
+ * @returns {Promise<string|null>}
+ */
+const readCurrentAvatar = async (host, httpPort) => {
+    const node = await getJSON(host, httpPort, '/avatar/change')
+    return Array.isArray(node.VALUE) && typeof node.VALUE[0] === 'string' ? node.VALUE[0] : null
+}
+
+/**
+ * Find VRChat's OSCQuery service over mDNS and read its OSC receive port and avatar parameters
+ * @param {object} [options]
+ * @param {number} [options.timeout] - Milliseconds
+ * @param {typeof multicastDns} [options.multicastDns] - mDNS factory, for tests
+ * @returns {Promise<{host: string, port: number, httpHost: string, httpPort: number, parameters: Set<string>|null}|null>} null if not found
+ */
+const discoverVRChat = ({ timeout = DEFAULT_DISCOVERY_TIMEOUT * 1000, multicastDns: createMdns = multicastDns } = {}) => new Promise((resolve) => {
+    const mdns = createMdns()
+    const records = []
+    let resolving = false
+    let done = false
+
+    const finish = (result) => {
+        if (done) return
+        done = true
+        clearTimeout(timer)
+        clearInterval(queryInterval)
+        mdns.destroy()
+        resolve(result)
+    }
+
+    const findRecord = (type, name) => records.find(record => record.type === type && record.name === name)
+
+    // Records can arrive spread over several responses, so work from everything seen so far
+    const tryResolve = async () => {
+        if (resolving || done) return
+        const ptr = records.find(record => record.type === 'PTR' && record.name === OSCQUERY_SERVICE &&
+            String(record.data).startsWith(VRCHAT_SERVICE_PREFIX))
+        if (!ptr) return
+
+        const srv = findRecord('SRV', ptr.data)
+        if (!srv) {
+            mdns.query({ questions: [{ name: ptr.data, type: 'SRV' }] })
+            return
+        }
+
+        const address = findRecord('A', srv.data.target)
+        const httpHost = address ? address.data : '127.0.0.1'
+        const httpPort = srv.data.port
+
+        resolving = true
+        try {
+            const hostInfo = await getJSON(httpHost, httpPort, '/?HOST_INFO')
+            let parameters = null
+            try {
+                parameters = await readAvatarParameters(httpHost, httpPort)
+            } catch (err) {
+                // No avatar loaded yet - the receive port is still good
+            }
+
+            const oscHost = !hostInfo.OSC_IP || hostInfo.OSC_IP === '0.0.0.0' ? httpHost : hostInfo.OSC_IP
+            finish({ host: oscHost, port: hostInfo.OSC_PORT, httpHost, httpPort, parameters })
+        } catch (err) {
+            resolving = false
+        }
+    }
+
+    mdns.on('response', (response) => {
+        records.push(...response.answers, ...(response.additionals || []))
+        tryResolve()
+    })
+    mdns.on('error', () => finish(null))
+
+    const query = () => mdns.query({ questions: [{ name: OSCQUERY_SERVICE, type: 'PTR' }] })
+    const timer = setTimeout(() => finish(null), timeout)
+    const queryInterval = setInterval(query, 1000)
+    query()
+})
+
+/**
+ * Find a free UDP port
+ * @returns {Promise<number>}
+ */
+const getFreeUdpPort = () => new Promise((resolve, reject) => {
+    const socket = dgram.createSocket('udp4')
+    socket.on('error', reject)
+    socket.bind(0, '127.0.0.1', () => {
+        const port = socket.address().port
+        socket.close(() => resolve(port))
+    })
+})
+
+/**
+ * Build an OSCQuery tree node for every address we want to receive
+ * @param {string[]} addresses
+ * @returns {object}
+ */
+const buildTree = (addresses) => {
+    const root = { FULL_PATH: '/', ACCESS: 0, CONTENTS: {} }
+    addresses.forEach(address => {
+        let node = root
+        const parts = address.split('/').filter(Boolean)
+        parts.forEach((part, index) => {
+            const fullPath = '/' + parts.slice(0, index + 1).join('/')
+            if (!node.CONTENTS) node.CONTENTS = {}
+            if (!node.CONTENTS[part]) {
+                node.CONTENTS[part] = index === parts.length - 1
+                    ? { FULL_PATH: fullPath, ACCESS: 2, TYPE: 's' }
+                    : { FULL_PATH: fullPath, ACCESS: 0, CONTENTS: {} }
+            }
+            node = node.CONTENTS[part]
+        })
+    })
+    return root
+}
+
+/**
+ * Open an OSC receiver and advertise it over OSCQuery so VRChat sends it data
+ * @param {object} options
+ * @param {string} options.name - Service name shown to other OSC apps
+ * @param {string[]} options.addresses - OSC addresses we want VRChat to send, e.g. ['/avatar/change']
+ * @param {(message: any[]) => void} options.onMessage - Called with [address, ...args]
+ * @param {typeof multicastDns} [options.multicastDns] - mDNS factory, for tests
+ * @returns {Promise<{oscPort: number, httpPort: number, close: () => void}>}
+ */
+const advertiseOSCQuery = async ({ name, addresses, onMessage, multicastDns: createMdns = multicastDns }) => {
+    const oscPort = await getFreeUdpPort()
+    const receiver = new Server(oscPort, '127.0.0.1')
+    receiver.on('message', onMessage)
+    receiver.on('error', () => { }) // Ignore malformed packets
+
+    const tree = buildTree(addresses)
+    const hostInfo = {
+        NAME: name,
+        EXTENSIONS: { ACCESS: true, VALUE: true, TYPE: true },
+        OSC_IP: '127.0.0.1',
+        OSC_PORT: oscPort,
+        OSC_TRANSPORT: 'UDP'
+    }
+
+    const server = http.createServer((req, res) => {
+        const url = new URL(req.url, 'http://localhost')
+        let body = null
+
+        if (url.search === '?HOST_INFO') {
+            body = hostInfo
+        } else {
+            body = url.pathname.split('/').filter(Boolean)
+                .reduce((node, part) => node?.CONTENTS?.[part], tree)
+        }
+
+        if (!body) {
+            res.writeHead(404, { 'Content-Type': 'text/plain' })
+            res.end('Not found')
+            return
+        }
+        res.writeHead(200, { 'Content-Type': 'application/json' })
+        res.end(JSON.stringify(body))
+    })
+    await new Promise((resolve, reject) => {
+        server.on('error', reject)
+        server.listen(0, '127.0.0.1', resolve)
+    })
+    const httpPort = server.address().port
+
+    // Answer mDNS questions about our OSCQuery (HTTP) and OSC (UDP) services
+    const hostname = `${name}.local`
+    const services = [
+        { type: OSCQUERY_SERVICE, instance: `${name}.${OSCQUERY_SERVICE}`, port: httpPort },
+        { type: OSC_SERVICE, instance: `${name}.${OSC_SERVICE}`, port: oscPort }
+    ]
+    const mdns = createMdns()
+    mdns.on('error', () => { })
+    mdns.on('query', (query) => {
+        const answers = []
+        query.questions.forEach(question => {
+            services.forEach(service => {
+                if (question.name === service.type || question.name === service.instance) {
+                    answers.push(
+                        { name: service.type, type: 'PTR', ttl: 120, data: service.instance },
+                        { name: service.instance, type: 'SRV', ttl: 120, data: { port: service.port, target: hostname } },
+                        { name: service.instance, type: 'TXT', ttl: 120, data: ['txtvers=1'] }
+                    )
+                }
+            })
+        })
+        if (answers.length > 0 || query.questions.some(question => question.name === hostname)) {
+            answers.push({ name: hostname, type: 'A', ttl: 120, data: '127.0.0.1' })
+            mdns.respond({ answers })
+        }
+    })
+
+    const close = () => {
+        mdns.destroy()
+        server.close()
+        receiver.close()
+    }
+
+    return { oscPort, httpPort, close }
+}
+
+exports.validateOSCQuery = validateOSCQuery
+exports.discoverVRChat = discoverVRChat
+exports.readAvatarParameters = readAvatarParameters
+exports.readCurrentAvatar = readCurrentAvatar
+exports.advertiseOSCQuery = advertiseOSCQuery
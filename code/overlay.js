@@ -0,0 +1,262 @@
+/**
+ * Stream overlays - a text file for OBS text sources and a transparent
+ * browser source page with a heart beating at the current BPM
+ *
+ * Both show "--" whenever connectionStatus parameters would be false
+ * (no data within "staleTimeout", or the source disconnected).
+ */
+
+const http = require('http')
+const fs = require('fs')
+const path = require('path')
+const { WebSocketServer } = require('ws')
+const { logger } = require('./logger')
+const { TEMPLATE_PLACEHOLDERS, trendArrow } = require('./chatbox')
+const { verifyLocalClient } = require('./dashboard')
+
+/**
+ * Browser source address - localhost only, OBS runs on the same PC
+ */
+const DEFAULT_HOST = '127.0.0.1'
+const DEFAULT_PORT = 8766
+
+const DEFAULT_FILE = 'heartrate.txt'
+const DEFAULT_TEMPLATE = '{heartRate}'
+
+/**
+ * Shown instead of a number while there's no current heart rate
+ */
+const NO_DATA_TEXT = '--'
+
+/**
+ * Look of the browser source - "style" in the config overrides any of these
+ */
+const DEFAULT_STYLE = {
+    color: '#ff4d6d',
+    textColor: '#ffffff',
+    fontSize: 64,
+    fontFamily: 'system-ui, sans-serif',
+    showHeart: true,
+    showUnit: true
+}
+
+/**
+ * Validate the "overlay" config section
+ * @param {any} overlay
+ * @returns {string|null} Error message, or null if valid
+ */
+const validateOverlay = (overlay) => {
+    if (typeof overlay !== 'object' || overlay === null || Array.isArray(overlay)) {
+        return 'Config "overlay" must be an object'
+    }
+
+    for (const sink of ['textFile', 'browserSource']) {
+        const section = overlay[sink]
+        if (section === undefined) continue
+        if (typeof section !== 'object' || section === null || Array.isArray(section)) {
+            return `Overlay: "${sink}" must be an object`
+        }
+        if (section.enabled !== undefined && typeof section.enabled !== 'boolean') {
+            return `Overlay: "${sink}.enabled" must be true or false`
+        }
+    }
+
+    const textFile = overlay.textFile
+    if (textFile) {
+        if (textFile.file !== undefined && (typeof textFile.file !== 'string' || textFile.file === '')) {
+            return 'Overlay: "textFile.file" must be a file path'
+        }
+
+        if (textFile.template !== undefined) {
+            if (typeof textFile.template !== 'string' || textFile.template === '') {
+                return 'Overlay: "textFile.template" must be a non-empty string like "{heartRate} bpm"'
+            }
+            const placeholders = [...textFile.template.matchAll(/\{([^}]*)\}/g)].map(match => match[1])
+            const unknown = placeholders.find(name => !TEMPLATE_PLACEHOLDERS.includes(name))
+            if (unknown !== undefined) {
+                return `Overlay: Unknown placeholder "{${unknown}}" in "textFile.template". Use: ${TEMPLATE_PLACEHOLDERS.map(name => `{${name}}`).join(', ')}`
+            }
+        }
+    }
+
+    const browserSource = overlay.browserSource
+    if (browserSource) {
+        if (browserSource.port !== undefined && (!Number.isInteger(browserSource.port) || browserSource.port < 1 || browserSource.port > 65535)) {
+            return 'Overlay: "browserSource.port" must be a whole number between 1 and 65535'
+        }
+
+        if (browserSource.host !== undefined && (typeof browserSource.host !== 'string' || browserSource.host === '')) {
+            return 'Overlay: "browserSource.host" must be a hostname or IP address'
+        }
+
+        const style = browserSource.style
+        if (style !== undefined) {
+            if (typeof style !== 'object' || style === null || Array.isArray(style)) {
+                return 'Overlay: "browserSource.style" must be an object'
+            }
+            for (const field of ['color', 'textColor', 'fontFamily']) {
+                if (style[field] !== undefined && (typeof style[field] !== 'string' || style[field] === '')) {
+                    return `Overlay: "style.${field}" must be a non-empty string`
+                }
+            }
+            if (style.fontSize !== undefined && (typeof style.fontSize !== 'number' || style.fontSize <= 0)) {
+                return 'Overlay: "style.fontSize" must be a positive number (pixels)'
+            }
+            for (const flag of ['showHeart', 'showUnit']) {
+                if (style[flag] !== undefined && typeof style[flag] !== 'boolean') {
+                    return `Overlay: "style.${flag}" must be true or false`
+                }
+            }
+        }
+    }
+
+    return null
+}
+
+/**
+ * Fill in a text file template - without a current heart rate the numbers are "--" and the trend is left out
+ * @param {string} template
+ * @param {{heartRate: number, avgHeartRate: number, restingHeartRate: number}|null} variables
+ * @returns {string}
+ */
+const renderOverlayText = (template, variables) => {
+    const values = variables ? {
+        heartRate: Math.round(variables.heartRate),
+        avgHeartRate: Math.round(variables.avgHeartRate),
+        restingHeartRate: Math.round(variables.restingHeartRate),
+        trend: trendArrow(variables.heartRate, variables.avgHeartRate)
+    } : { trend: '' }
+    return template.replace(/\{([^}]*)\}/g, (match, name) => String(values[name] ?? NO_DATA_TEXT))
+}
+
+/**
+ * Create the stream overlays - sinks that are off do nothing
+ * @param {object} options
+ * @param {() => object|undefined} options.getConfig - Current "overlay" config section
+ * @param {string} options.baseDir - A relative "file" is resolved from here
+ * @param {import('./logger').Logger} [options.log]
+ * @returns {{start: () => void, update: (variables: object|null) => void, stop: () => void}}
+ */
+const createOverlay = ({ getConfig, baseDir, log = logger }) => {
+    let current = null
+    let lastWrittenText = null
+    let lastWrittenFile = null
+    let writeFailed = false
+    let lastPushedMessage = null
+    let server = null
+    let wss = null
+
+    const page = fs.readFileSync(path.join(__dirname, 'overlay.html'), 'utf-8')
+
+    // Write through a temporary file so OBS never reads a half-written one
+    const writeTextFile = () => {
+        const textFile = getConfig()?.textFile
+        if (!textFile || textFile.enabled === false) return
+
+        const file = path.resolve(baseDir, textFile.file || DEFAULT_FILE)
+        const text = renderOverlayText(textFile.template || DEFAULT_TEMPLATE, current)
+        if (text === lastWrittenText && file === lastWrittenFile) return
+
+        try {
+            fs.mkdirSync(path.dirname(file), { recursive: true })
+            fs.writeFileSync(`${file}.tmp`, text)
+            fs.renameSync(`${file}.tmp`, file)
+            lastWrittenText = text
+            lastWrittenFile = file
+            writeFailed = false
+        } catch (err) {
+            // The overlay is optional - report it once and keep trying on later readings
+            if (!writeFailed) log.error('Could not write overlay text file: %s', err.message)
+            writeFailed = true
+        }
+    }
+
+    // What the browser source page shows
+    const getMessage = () => JSON.stringify({
+        heartRate: current && Math.round(current.heartRate),
+        style: { ...DEFAULT_STYLE, ...getConfig()?.browserSource?.style }
+    })
+
+    const pushToBrowserSources = () => {
+        if (!wss || wss.clients.size === 0) return
+        const message = getMessage()
+        if (message === lastPushedMessage) return
+        lastPushedMessage = message
+        wss.clients.forEach(socket => {
+            if (socket.readyState === socket.OPEN) socket.send(message)
+        })
+    }
+
+    // The browser source server is set up once - changing "enabled", "port" or "host" needs a restart
+    const startBrowserSource = (browserSource) => {
+        const host = browserSource.host || DEFAULT_HOST
+        const port = browserSource.port || DEFAULT_PORT
+
+        server = http.createServer((req, res) => {
+            if (req.url === '/' || req.url === '/index.html') {
+                res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' })
+                res.end(page)
+                return
+            }
+
+            res.writeHead(404, { 'Content-Type': 'text/plain' })
+            res.end('Not found')
+        })
+
+        wss = new WebSocketServer({ server, path: '/ws', verifyClient: verifyLocalClient(host) })
+        wss.on('connection', (socket) => {
+            socket.send(getMessage())
+        })
+
+        // A busy port is reported by the HTTP server and again by the WebSocket server attached to it
+        let lastError = null
+        const handleError = (err) => {
+            if (err === lastError) return
+            lastError = err
+
+            // Overlay is optional - keep the bridge running without it
+            log.error('Browser source overlay could not start: %s', err.message)
+            if (err.code === 'EADDRINUSE') {
+                log.hint('error', 'Port %d is in use - set another "port" in overlay.browserSource', port)
+            }
+        }
+        server.on('error', handleError)
+        wss.on('error', handleError)
+
+        server.listen(port, host, () => {
+            log.status('Browser source overlay at http://%s:%d', host, port)
+        })
+    }
+
+    const start = () => {
+        const browserSource = getConfig()?.browserSource
+        if (browserSource && browserSource.enabled !== false) startBrowserSource(browserSource)
+
+        // The text file exists from the start, so OBS has something to show
+        writeTextFile()
+    }
+
+    /**
+     * Show a new reading, or "--" when there's no current heart rate
+     * @param {{heartRate: number, avgHeartRate: number, restingHeartRate: number}|null} variables
+     */
+    const update = (variables) => {
+        current = variables
+        writeTextFile()
+        pushToBrowserSources()
+    }
+
+    const stop = () => {
+        update(null)
+        if (wss) wss.clients.forEach(socket => socket.terminate())
+        if (wss) wss.close()
+        if (server) server.close()
+    }
+
+    return { start, update, stop }
+}
+
+exports.DEFAULT_STYLE = DEFAULT_STYLE
+exports.validateOverlay = validateOverlay
+exports.renderOverlayText = renderOverlayText
+exports.createOverlay = createOverlay
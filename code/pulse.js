@@ -0,0 +1,168 @@
+/**
+ * Beat-synchronous "pulse" parameters, driven by a local timer
+ *
+ * Pulsoid messages don't arrive once per heartbeat, so instead of flipping on
+ * every message this schedules its own beats every 60000 / heartRate ms.
+ */
+
+const { systemClock } = require('./clock')
+
+/**
+ * Default fraction of each beat that a pulse is "on"
+ */
+const DEFAULT_DUTY_CYCLE = 0.3
+
+/**
+ * How often float envelopes are updated during a beat
+ */
+const ENVELOPE_FRAME_MS = 30
+
+/**
+ * Validate a "pulse" parameter
+ * @param {object} param
+ * @returns {string|null} Error message, or null if valid
+ */
+const validatePulse = (param) => {
+    if (param.type !== 'bool' && param.type !== 'float') {
+        return '"pulse" can only be used with type "bool" or "float"'
+    }
+
+    if (param.pulse === undefined) return null
+
+    if (typeof param.pulse !== 'object' || param.pulse === null || Array.isArray(param.pulse)) {
+        return '"pulse" settings must be an object like { "dutyCycle": 0.3 }'
+    }
+
+    const dutyCycle = param.pulse.dutyCycle
+    if (dutyCycle !== undefined && (typeof dutyCycle !== 'number' || dutyCycle <= 0 || dutyCycle >= 1)) {
+        return '"pulse.dutyCycle" must be a number between 0 and 1'
+    }
+
+    return null
+}
+
+/**
+ * Get the duty cycle of a pulse parameter
+ * @param {object} param
+ * @returns {number}
+ */
+const getDutyCycle = (param) => param.pulse?.dutyCycle || DEFAULT_DUTY_CYCLE
+
+/**
+ * Float envelope for a point in the beat: ramps 0 -> 1 -> 0 over the duty cycle
+ * @param {number} phase - 0 to 1 through the beat
+ * @param {number} dutyCycle
+ * @returns {number}
+ */
+const envelope = (phase, dutyCycle) => {
+    if (phase >= dutyCycle) return 0
+    const progress = phase / dutyCycle
+    return progress < 0.5 ? progress * 2 : (1 - progress) * 2
+}
+
+/**
+ * Create the beat scheduler for all pulse parameters
+ * @param {object} options
+ * @param {() => object[]} options.getParameters - Current pulse parameters
+ * @param {(param: object, value: boolean|number) => void} options.send
+ * @param {() => boolean} options.isStale - True when heart rate data is too old to pulse on
+ * @param {import('./clock').Clock} [options.clock]
+ * @returns {{setHeartRate: (heartRate: number) => void, stop: () => void}}
+ */
+const createPulseScheduler = ({ getParameters, send, isStale, clock = systemClock }) => {
+    let beatInterval = null
+    let beatStart = null
+    let beatLength = null
+    let beatTimer = null
+    let frameTimer = null
+    let offTimers = []
+    let running = false
+
+    const clearTimers = () => {
+        clock.clearTimeout(beatTimer)
+        clock.clearInterval(frameTimer)
+        offTimers.forEach(timer => clock.clearTimeout(timer))
+        beatTimer = null
+        frameTimer = null
+        offTimers = []
+    }
+
+    // Send one frame of every float envelope, stopping once all are back at 0
+    const sendEnvelopeFrame = () => {
+        const phase = (clock.now() - beatStart) / beatLength
+        let active = false
+
+        getParameters().filter(param => param.type === 'float').forEach(param => {
+            const value = envelope(phase, getDutyCycle(param))
+            if (value > 0) active = true
+            send(param, value)
+        })
+
+        if (!active) {
+            clock.clearInterval(frameTimer)
+            frameTimer = null
+        }
+    }
+
+    const beat = () => {
+        if (isStale()) {
+            stop()
+            return
+        }
+
+        // The shape of a beat in progress doesn't change when a new reading arrives
+        beatStart = clock.now()
+        beatLength = beatInterval
+        offTimers.forEach(timer => clock.clearTimeout(timer))
+        offTimers = []
+
+        getParameters().filter(param => param.type === 'bool').forEach(param => {
+            send(param, true)
+            offTimers.push(clock.setTimeout(() => send(param, false), getDutyCycle(param) * beatLength))
+        })
+
+        if (!frameTimer) {
+            frameTimer = clock.setInterval(sendEnvelopeFrame, ENVELOPE_FRAME_MS)
+        }
+        sendEnvelopeFrame()
+
+        beatTimer = clock.setTimeout(beat, beatInterval)
+    }
+
+    /**
+     * Re-time the beat for a new reading - the current beat finishes at the new speed.
+     * A rate of 0 or less (no pulse detected) stops pulsing until a real one arrives.
+     * @param {number} heartRate
+     */
+    const setHeartRate = (heartRate) => {
+        if (!(heartRate > 0)) {
+            stop()
+            return
+        }
+        beatInterval = 60000 / heartRate
+
+        if (!running) {
+            running = true
+            beat()
+            return
+        }
+
+        clock.clearTimeout(beatTimer)
+        beatTimer = clock.setTimeout(beat, Math.max(0, beatStart + beatInterval - clock.now()))
+    }
+
+    /**
+     * Stop pulsing and leave every pulse parameter off
+     */
+    const stop = () => {
+        clearTimers()
+        if (!running) return
+        running = false
+        getParameters().forEach(param => send(param, param.type === 'bool' ? false : 0))
+    }
+
+    return { setHeartRate, stop }
+}
+
+exports.validatePulse = validatePulse
+exports.createPulseScheduler = createPulseScheduler
@@ -0,0 +1,164 @@
+const fs = require('fs')
+const path = require('path')
+const { logger } = require('./logger')
+
+const RECORDING_FORMATS = ['jsonl', 'csv']
+const ROTATE_MODES = ['daily', 'size']
+
+/**
+ * CSV header - heartRate comes before the JSON columns so simple CSV readers (like replay) find it.
+ * "widget" is only filled in with several widgets.
+ */
+const CSV_HEADER = 'time,type,heartRate,code,reason,payload,osc,widget'
+
+/**
+ * Validate the "recording" config section
+ * @param {any} recording
+ * @returns {string|null} Error message, or null if valid
+ */
+const validateRecording = (recording) => {
+    if (typeof recording !== 'object' || recording === null || Array.isArray(recording)) {
+        return 'Config "recording" must be an object'
+    }
+
+    if (recording.enabled !== undefined && typeof recording.enabled !== 'boolean') {
+        return 'Recording: "enabled" must be true or false'
+    }
+
+    if (recording.format !== undefined && !RECORDING_FORMATS.includes(recording.format)) {
+        return `Recording: "format" must be one of: ${RECORDING_FORMATS.join(', ')}`
+    }
+
+    if (recording.directory !== undefined && (typeof recording.directory !== 'string' || recording.directory === '')) {
+        return 'Recording: "directory" must be a folder path'
+    }
+
+    if (recording.rotate !== undefined && !ROTATE_MODES.includes(recording.rotate)) {
+        return `Recording: "rotate" must be one of: ${ROTATE_MODES.join(', ')}`
+    }
+
+    if (recording.maxSizeMB !== undefined && (typeof recording.maxSizeMB !== 'number' || recording.maxSizeMB <= 0)) {
+        return 'Recording: "maxSizeMB" must be a positive number'
+    }
+
+    return null
+}
+
+/**
+ * Quote a CSV field if needed
+ * @param {any} value
+ * @returns {string}
+ */
+const csvField = (value) => {
+    if (value === undefined || value === null) return ''
+    const text = typeof value === 'object' ? JSON.stringify(value) : String(value)
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+/**
+ * Local date as YYYY-MM-DD
+ * @param {Date} date
+ * @returns {string}
+ */
+const dayOf = (date) => {
+    const pad = (number) => String(number).padStart(2, '0')
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`
+}
+
+/**
+ * Create a session recorder - a no-op when recording is off
+ * @param {object|undefined} recording - "recording" config section
+ * @param {string} baseDir - Relative directories are resolved from here
+ * @param {import('./logger').Logger} [log]
+ * @returns {{reading: (heartRate: number, payload: any, osc: object, widget?: string) => void, event: (type: string, details?: object) => void, close: () => void}}
+ */
+const createRecorder = (recording, baseDir, log = logger) => {
+    if (!recording || recording.enabled === false) {
+        return { reading: () => { }, event: () => { }, close: () => { } }
+    }
+
+    const format = recording.format || 'jsonl'
+    const rotate = recording.rotate || 'daily'
+    const maxBytes = (recording.maxSizeMB || 10) * 1024 * 1024
+    const directory = path.resolve(baseDir, recording.directory || 'recordings')
+
+    let fd = null
+    let fileDay = null
+    let fileSize = 0
+    let failed = false
+    let closed = false
+
+    // Open a new file named after the current time
+    const openFile = (now) => {
+        const stamp = `${dayOf(now)}_${now.toTimeString().slice(0, 8).replace(/:/g, '-')}`
+        const file = path.join(directory, `session-${stamp}.${format}`)
+        fs.mkdirSync(directory, { recursive: true })
+        fd = fs.openSync(file, 'a')
+        fileDay = dayOf(now)
+        fileSize = fs.fstatSync(fd).size
+        log.info('Recording session to %s', file)
+
+        if (format === 'csv' && fileSize === 0) write(`${CSV_HEADER}\n`)
+    }
+
+    // Synchronous writes - every entry is on disk before the next reading, so nothing is lost on exit
+    const write = (line) => {
+        fs.writeSync(fd, line)
+        fileSize += Buffer.byteLength(line)
+    }
+
+    const record = (entry) => {
+        // Late events (a send failing during shutdown) mustn't reopen a file
+        if (failed || closed) return
+        const now = new Date()
+
+        try {
+            const needsRotation = rotate === 'daily' ? dayOf(now) !== fileDay : fileSize >= maxBytes
+            if (fd === null || needsRotation) {
+                if (fd !== null) fs.closeSync(fd)
+                openFile(now)
+            }
+
+            const line = format === 'csv'
+                ? [now.toISOString(), entry.type, entry.heartRate, entry.code, entry.reason, entry.payload, entry.osc, entry.widget].map(csvField).join(',') + '\n'
+                : JSON.stringify({ time: now.toISOString(), ...entry }) + '\n'
+            write(line)
+        } catch (err) {
+            // Don't take the bridge down because the disk is full or the folder is read-only
+            log.error('Recording stopped: %s', err.message)
+            failed = true
+        }
+    }
+
+    /**
+     * Record a heart rate message and the OSC values it produced
+     * @param {number} heartRate
+     * @param {any} payload - Raw message from the source
+     * @param {Object<string, any>} osc - Value sent per parameter address
+     * @param {string} [widget] - Label of the widget it came from (with several widgets)
+     */
+    const reading = (heartRate, payload, osc, widget) => {
+        record({ type: 'reading', widget, heartRate, payload, osc })
+    }
+
+    /**
+     * Record an event (open, close, dropped, noHeartRate, ...)
+     * @param {string} type
+     * @param {object} [details]
+     */
+    const event = (type, details = {}) => {
+        record({ type, ...details })
+    }
+
+    const close = () => {
+        closed = true
+        if (fd === null) return
+        fs.closeSync(fd)
+        fd = null
+    }
+
+    return { reading, event, close }
+}
+
+exports.validateRecording = validateRecording
+exports.createRecorder = createRecorder
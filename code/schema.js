@@ -0,0 +1,368 @@
+/**
+ * Config checks against osc_parameters.schema.json - the same schema editors
+ * use for autocomplete - plus warnings for setups that are valid but probably
+ * not what was meant
+ *
+ * Every problem is collected with its JSON path (e.g. "parameters[2].type")
+ * instead of stopping at the first one.
+ */
+
+const CONFIG_SCHEMA = require('../osc_parameters.schema.json')
+
+/**
+ * Heart rates people actually reach - an inputRange should cover most of this
+ */
+const REALISTIC_HEART_RATE = [40, 200]
+
+/**
+ * What VRChat syncs for int and float parameters
+ */
+const VRCHAT_INT_RANGE = [0, 255]
+const VRCHAT_FLOAT_RANGE = [-1, 1]
+
+const TYPE_NAMES = {
+    string: 'a string',
+    number: 'a number',
+    integer: 'a whole number',
+    boolean: 'true or false',
+    object: 'an object',
+    array: 'an array',
+    null: 'null'
+}
+
+/**
+ * @typedef {object} ConfigProblem
+ * @property {string} path - JSON path like "parameters[2].type" ("" for the whole config)
+ * @property {string} message
+ */
+
+/**
+ * Path of a field or array item inside another path
+ * @param {string} path
+ * @param {string|number} key
+ * @returns {string}
+ */
+const joinPath = (path, key) => {
+    if (typeof key === 'number') return `${path}[${key}]`
+    if (!/^[A-Za-z_$][\w$]*$/.test(key)) return `${path}[${JSON.stringify(key)}]`
+    return path ? `${path}.${key}` : key
+}
+
+/**
+ * Whether any problem is at a path or inside it
+ * @param {ConfigProblem[]} problems
+ * @param {string} path
+ * @returns {boolean}
+ */
+const hasProblemsAt = (problems, path) => problems.some(problem =>
+    problem.path === path || problem.path.startsWith(`${path}.`) || problem.path.startsWith(`${path}[`))
+
+/**
+ * One line for a problem, e.g. 'parameters[2].type: must be one of: int, float, bool'
+ * @param {ConfigProblem} problem
+ * @returns {string}
+ */
+const formatConfigProblem = (problem) => problem.path ? `${problem.path}: ${problem.message}` : problem.message
+
+const typeOf = (value) => {
+    if (value === null) return 'null'
+    if (Array.isArray(value)) return 'array'
+    if (Number.isInteger(value)) return 'integer'
+    return typeof value
+}
+
+const matchesType = (value, type) => type === typeOf(value) || (type === 'number' && typeOf(value) === 'integer')
+
+const resolveRef = (schema) => schema.$ref ? CONFIG_SCHEMA.definitions[schema.$ref.replace('#/definitions/', '')] : schema
+
+/**
+ * Check a value against a (sub)schema - the draft-07 keywords the config schema uses
+ * @param {any} value
+ * @param {object} schema
+ * @param {string} path
+ * @returns {ConfigProblem[]}
+ */
+const checkSchema = (value, schema, path) => {
+    // A "$ref" with siblings (like "description") only takes its rules from the definition
+    schema = resolveRef(schema)
+    const problems = []
+    const fail = (message) => problems.push({ path, message: schema.errorMessage || message })
+
+    if (schema.anyOf) {
+        const results = schema.anyOf.map(option => checkSchema(value, option, path))
+        if (results.some(result => result.length === 0)) return problems
+
+        // Only one form has the right type - its own problems say more than "doesn't match"
+        const sameType = schema.anyOf.map(resolveRef).filter(option => [].concat(option.type || []).some(type => matchesType(value, type)))
+        if (sameType.length === 1) return results[schema.anyOf.map(resolveRef).indexOf(sameType[0])]
+
+        fail('does not match any of the allowed forms')
+        return problems
+    }
+
+    if (schema.type !== undefined) {
+        const types = [].concat(schema.type)
+        if (!types.some(type => matchesType(value, type))) {
+            fail(`must be ${types.map(type => TYPE_NAMES[type]).join(' or ')}`)
+            return problems
+        }
+    }
+
+    if (schema.const !== undefined && value !== schema.const) {
+        fail(`must be ${JSON.stringify(schema.const)}`)
+    }
+
+    if (schema.enum !== undefined && !schema.enum.includes(value)) {
+        fail(`must be one of: ${schema.enum.join(', ')}`)
+        return problems
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) fail(`must be at least ${schema.minimum}`)
+        if (schema.maximum !== undefined && value > schema.maximum) fail(`must be at most ${schema.maximum}`)
+        if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) fail(`must be more than ${schema.exclusiveMinimum}`)
+        if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) fail(`must be less than ${schema.exclusiveMaximum}`)
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) fail('must not be empty')
+        if (schema.pattern !== undefined && !new RegExp(schema.pattern).test(value)) fail(`must match ${schema.pattern}`)
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) fail(`must have at least ${schema.minItems} item(s)`)
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) fail(`must have at most ${schema.maxItems} item(s)`)
+        if (schema.items) {
+            value.forEach((item, i) => problems.push(...checkSchema(item, schema.items, joinPath(path, i))))
+        }
+    }
+
+    if (typeOf(value) === 'object') {
+        const properties = schema.properties || {}
+        const patterns = Object.entries(schema.patternProperties || {}).map(([pattern, subschema]) => [new RegExp(pattern), subschema])
+
+        for (const key of schema.required || []) {
+            if (value[key] === undefined) problems.push({ path: joinPath(path, key), message: 'is required' })
+        }
+
+        for (const [key, item] of Object.entries(value)) {
+            const keyPath = joinPath(path, key)
+
+            if (schema.propertyNames) {
+                const nameProblems = checkSchema(key, schema.propertyNames, keyPath)
+                if (nameProblems.length > 0) {
+                    problems.push(...nameProblems)
+                    continue
+                }
+            }
+
+            const matching = patterns.filter(([pattern]) => pattern.test(key)).map(([, subschema]) => subschema)
+            if (properties[key] !== undefined) matching.push(properties[key])
+            matching.forEach(subschema => problems.push(...checkSchema(item, subschema, keyPath)))
+
+            if (matching.length === 0 && schema.additionalProperties === false) {
+                problems.push({ path: keyPath, message: `unknown setting - use: ${Object.keys(properties).join(', ')}` })
+            }
+        }
+    }
+
+    return problems
+}
+
+/**
+ * Check a config against the shipped JSON Schema
+ * @param {any} config
+ * @returns {ConfigProblem[]} Every problem found (empty if none)
+ */
+const validateSchema = (config) => checkSchema(config, CONFIG_SCHEMA, '')
+
+/**
+ * Subschemas for a field of an object schema - from "properties" and matching "patternProperties"
+ * @param {object} schema
+ * @param {string} key
+ * @returns {object[]}
+ */
+const fieldSchemas = (schema, key) => {
+    const matching = Object.entries(schema.patternProperties || {})
+        .filter(([pattern]) => new RegExp(pattern).test(key))
+        .map(([, subschema]) => subschema)
+    if (schema.properties?.[key] !== undefined) matching.push(schema.properties[key])
+    return matching
+}
+
+/**
+ * A node without the fields that failed the schema, so the checks the schema can't express
+ * still run on the rest of it
+ * @param {any} value
+ * @param {object} schema
+ * @param {string} path
+ * @param {ConfigProblem[]} problems - Schema problems of the whole config
+ * @param {string[]} removed - Names of the fields left out are added here
+ * @returns {any} The node itself when it has no problems, a trimmed copy, or undefined when
+ *   it failed as a whole or a field it requires did
+ */
+const withoutProblems = (value, schema, path, problems, removed) => {
+    schema = resolveRef(schema)
+    if (!hasProblemsAt(problems, path)) return value
+    if (problems.some(problem => problem.path === path)) return undefined
+
+    // A list with a bad item, or a value that could be one of several forms, is left out whole
+    if (typeOf(value) !== 'object' || schema.anyOf) return undefined
+
+    const trimmed = {}
+    for (const [key, item] of Object.entries(value)) {
+        const kept = withoutProblems(item, fieldSchemas(schema, key)[0] || {}, joinPath(path, key), problems, removed)
+        if (kept !== undefined) trimmed[key] = kept
+        else removed.push(key)
+    }
+
+    if ((schema.required || []).some(key => trimmed[key] === undefined)) return undefined
+    return trimmed
+}
+
+/**
+ * Run a check the schema can't express on a node trimmed of its schema problems (see withoutProblems)
+ * @param {any} value
+ * @param {object} schema
+ * @param {string} path
+ * @param {ConfigProblem[]} problems
+ * @param {(value: any) => string|null} check
+ * @returns {string|null} The check's error, or null
+ */
+const checkWithoutProblems = (value, schema, path, problems, check) => {
+    const removed = []
+    const trimmed = withoutProblems(value, schema, path, problems, removed)
+    if (trimmed === undefined) return null
+
+    // A check tripping over a field the schema already rejected (named in its message) would only repeat that problem
+    const error = check(trimmed)
+    if (error && removed.some(key => error.includes(`"${key}"`))) return null
+    return error
+}
+
+/**
+ * Check a top-level config section, leaving out the fields that failed the schema
+ * @param {object} config
+ * @param {string} key - e.g. 'chatbox'
+ * @param {ConfigProblem[]} problems - Schema problems of the whole config
+ * @param {(section: any) => string|null} check - e.g. validateChatbox
+ * @returns {string|null} Error message, or null when valid, missing or too broken to check
+ */
+const checkSection = (config, key, problems, check) => config[key] === undefined
+    ? null
+    : checkWithoutProblems(config[key], CONFIG_SCHEMA.properties[key], key, problems, check)
+
+/**
+ * Check a parameter, leaving out the fields that failed the schema
+ * @param {any} param
+ * @param {string} path - e.g. 'parameters[2]'
+ * @param {ConfigProblem[]} problems - Schema problems of the whole config
+ * @param {(param: any) => string|null} check
+ * @returns {string|null} Error message, or null when valid or too broken to check
+ */
+const checkParameter = (param, path, problems, check) => checkWithoutProblems(param, CONFIG_SCHEMA.definitions.parameter, path, problems, check)
+
+/**
+ * Fields no schema describes - they're ignored, so a typo like "outputrange" fails silently.
+ * Objects whose schema rejects unknown fields already report them as errors.
+ * @param {any} value
+ * @param {object} schema
+ * @param {string} path
+ * @param {(path: string, message: string) => void} warn
+ */
+const findUnknownFields = (value, schema, path, warn) => {
+    schema = resolveRef(schema)
+
+    if (schema.anyOf) {
+        const match = schema.anyOf.find(option => checkSchema(value, option, path).length === 0)
+        if (match) findUnknownFields(value, match, path, warn)
+        return
+    }
+
+    if (Array.isArray(value) && schema.items) {
+        value.forEach((item, i) => findUnknownFields(item, schema.items, joinPath(path, i), warn))
+        return
+    }
+
+    if (typeOf(value) !== 'object' || (!schema.properties && !schema.patternProperties)) return
+
+    for (const [key, item] of Object.entries(value)) {
+        // Names the schema rejects are errors already
+        if (key.startsWith('_') || (schema.propertyNames && checkSchema(key, schema.propertyNames, path).length > 0)) continue
+        const matching = fieldSchemas(schema, key)
+        if (matching.length === 0 && schema.additionalProperties === undefined) {
+            warn(joinPath(path, key), 'unknown field - ignored')
+        }
+        matching.forEach(subschema => findUnknownFields(item, subschema, joinPath(path, key), warn))
+    }
+}
+
+/**
+ * Settings that are allowed but look like mistakes
+ * @param {object} config - Config that passed validation (or mostly did - odd shapes are skipped)
+ * @returns {ConfigProblem[]}
+ */
+const findConfigWarnings = (config) => {
+    const warnings = []
+    const warn = (path, message) => warnings.push({ path, message })
+    const isRange = (range) => Array.isArray(range) && range.length === 2 && range.every(value => typeof value === 'number')
+
+    findUnknownFields(config, CONFIG_SCHEMA, '', warn)
+
+    // With "widgets" each widget has its own source
+    if (Array.isArray(config.widgets) && config.source !== undefined) {
+        warn('source', 'ignored with "widgets" - give each widget its own "source" instead')
+    }
+
+    const parameterLists = [['parameters', config.parameters], ['combined', config.combined]]
+    Object.entries(config.avatarProfiles?.profiles || {}).forEach(([avatarId, profile]) => {
+        if (!avatarId.startsWith('_')) parameterLists.push([joinPath(joinPath('avatarProfiles.profiles', avatarId), 'parameters'), profile?.parameters])
+    })
+    if (Array.isArray(config.widgets)) {
+        config.widgets.forEach((widget, i) => parameterLists.push([joinPath(joinPath('widgets', i), 'parameters'), widget?.parameters]))
+    }
+
+    parameterLists.forEach(([listPath, parameters]) => {
+        if (!Array.isArray(parameters)) return
+
+        parameters.forEach((param, i) => {
+            if (typeOf(param) !== 'object') return
+            const path = joinPath(listPath, i)
+
+            if (isRange(param.outputRange)) {
+                const [outMin, outMax] = param.outputRange
+
+                if (param.type === 'bool') {
+                    warn(joinPath(path, 'outputRange'), 'a bool parameter is true whenever the mapped value isn\'t 0 - use a "trigger" for on/off thresholds')
+                }
+
+                if (param.type === 'int' && !param.decompose && (outMin < VRCHAT_INT_RANGE[0] || outMax > VRCHAT_INT_RANGE[1])) {
+                    warn(joinPath(path, 'outputRange'), `VRChat int parameters only hold ${VRCHAT_INT_RANGE.join(' to ')}`)
+                }
+
+                if (param.type === 'float' && (outMin < VRCHAT_FLOAT_RANGE[0] || outMax > VRCHAT_FLOAT_RANGE[1])) {
+                    warn(joinPath(path, 'outputRange'), `VRChat float parameters only sync ${VRCHAT_FLOAT_RANGE.join(' to ')}`)
+                }
+            }
+
+            if (isRange(param.inputRange) && param.inputRange[0] < param.inputRange[1]) {
+                // Readings outside the inputRange all map to the same output
+                const [low, high] = REALISTIC_HEART_RATE
+                const covered = Math.max(0, Math.min(high, param.inputRange[1]) - Math.max(low, param.inputRange[0]))
+                if (covered < (high - low) / 2) {
+                    warn(joinPath(path, 'inputRange'), `covers little of the ${low}-${high} BPM a heart rate is usually in - most readings will give the same output`)
+                }
+            }
+        })
+    })
+
+    return warnings
+}
+
+exports.validateSchema = validateSchema
+exports.findConfigWarnings = findConfigWarnings
+exports.hasProblemsAt = hasProblemsAt
+exports.checkSection = checkSection
+exports.checkParameter = checkParameter
+exports.joinPath = joinPath
+exports.formatConfigProblem = formatConfigProblem
@@ -0,0 +1,79 @@
+/**
+ * Less OSC traffic: per-parameter "sendOnChange" and the "sending" config
+ * section (bundles, periodic full refresh)
+ */
+
+/**
+ * Seconds between updates that send every parameter, changed or not - so
+ * receivers that start late still get current values
+ */
+const DEFAULT_REFRESH_INTERVAL = 10
+
+/**
+ * Validate the "sending" config section
+ * @param {any} sending
+ * @returns {string|null} Error message, or null if valid
+ */
+const validateSending = (sending) => {
+    if (typeof sending !== 'object' || sending === null || Array.isArray(sending)) {
+        return 'Config "sending" must be an object'
+    }
+
+    if (sending.bundle !== undefined && typeof sending.bundle !== 'boolean') {
+        return 'Sending: "bundle" must be true or false'
+    }
+
+    const interval = sending.refreshInterval
+    if (interval !== undefined && (typeof interval !== 'number' || interval <= 0)) {
+        return 'Sending: "refreshInterval" must be a positive number of seconds'
+    }
+
+    return null
+}
+
+/**
+ * Validate a parameter's "sendOnChange" setting
+ * @param {object} param
+ * @returns {string|null} Error message, or null if valid
+ */
+const validateSendOnChange = (param) => {
+    const sendOnChange = param.sendOnChange
+
+    if (['connectionStatus', 'pulse'].includes(param.value)) {
+        return `"sendOnChange" cannot be used with "${param.value}"`
+    }
+
+    if (typeof sendOnChange === 'boolean') return null
+
+    if (typeof sendOnChange !== 'object' || sendOnChange === null || Array.isArray(sendOnChange)) {
+        return '"sendOnChange" must be true, false or { "epsilon": 0.01 }'
+    }
+
+    if (typeof sendOnChange.epsilon !== 'number' || sendOnChange.epsilon < 0) {
+        return '"sendOnChange.epsilon" must be a number of 0 or more'
+    }
+
+    if (param.type !== 'float') {
+        return '"sendOnChange.epsilon" can only be used with type "float" - use "sendOnChange": true'
+    }
+
+    return null
+}
+
+/**
+ * Whether a send-on-change parameter can skip a value
+ * @param {object} param
+ * @param {any} previous - Last value sent to the address (undefined if none)
+ * @param {number|boolean} value
+ * @returns {boolean}
+ */
+const isUnchanged = (param, previous, value) => {
+    if (!param.sendOnChange || previous === undefined) return false
+    if (typeof param.sendOnChange === 'object') return Math.abs(value - previous) <= param.sendOnChange.epsilon
+    return value === previous
+}
+
+exports.DEFAULT_REFRESH_INTERVAL = DEFAULT_REFRESH_INTERVAL
+exports.validateSending = validateSending
+exports.validateSendOnChange = validateSendOnChange
+exports.isUnchanged = isUnchanged
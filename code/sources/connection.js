@@ -0,0 +1,258 @@
+/**
+ * Connection state machine for the Pulsoid WebSocket
+ *
+ * idle -> fetching (ramiel URL) -> connecting -> open -> waiting -> fetching/connecting ...
+ *
+ * Every way a connection can end (close, failed handshake, missed pong, data
+ * silence, failed URL fetch) goes through retry(), and connect() only runs
+ * from idle or waiting - so there is never more than one socket or one
+ * pending reconnect. stop() moves to "stopped" and everything after that is ignored.
+ */
+
+/**
+ * Defaults for the connection settings in a pulsoid "source" section (seconds)
+ */
+const DEFAULT_CONNECTION_SETTINGS = {
+    pingInterval: 15,
+    minReconnectDelay: 1,
+    maxReconnectDelay: 60,
+    refreshAfterFailures: 3,
+    silenceTimeout: 120
+}
+
+/**
+ * Validate the connection settings of a pulsoid source config
+ * @param {object} source
+ * @returns {string|null} Error message, or null if valid
+ */
+const validateConnectionSettings = (source) => {
+    for (const field of ['pingInterval', 'minReconnectDelay', 'maxReconnectDelay', 'silenceTimeout']) {
+        if (source[field] !== undefined && (typeof source[field] !== 'number' || source[field] <= 0)) {
+            return `Source: "${field}" must be a positive number of seconds`
+        }
+    }
+
+    if (source.refreshAfterFailures !== undefined && (!Number.isInteger(source.refreshAfterFailures) || source.refreshAfterFailures < 1)) {
+        return 'Source: "refreshAfterFailures" must be a whole number of 1 or more'
+    }
+
+    const { minReconnectDelay, maxReconnectDelay } = { ...DEFAULT_CONNECTION_SETTINGS, ...source }
+    if (minReconnectDelay > maxReconnectDelay) {
+        return 'Source: "minReconnectDelay" must not be more than "maxReconnectDelay"'
+    }
+
+    if (source.rpcUrl !== undefined && (typeof source.rpcUrl !== 'string' || !/^https?:\/\//.test(source.rpcUrl))) {
+        return 'Source: "rpcUrl" must be an http:// or https:// URL'
+    }
+
+    return null
+}
+
+/**
+ * Delay before a reconnect - doubles per attempt up to the cap, then jittered
+ * so many bridges dropped by the same outage don't all come back at once
+ * @param {number} attempt - 1 for the first retry
+ * @param {{minReconnectDelay: number, maxReconnectDelay: number}} settings
+ * @param {() => number} [random]
+ * @returns {number} Milliseconds, between half and all of the backoff
+ */
+const getReconnectDelay = (attempt, { minReconnectDelay, maxReconnectDelay }, random = Math.random) => {
+    const backoff = Math.min(maxReconnectDelay, minReconnectDelay * 2 ** (attempt - 1)) * 1000
+    return Math.round(backoff / 2 + random() * backoff / 2)
+}
+
+/**
+ * Keep one WebSocket connected, reconnecting with backoff until stopped
+ * @param {object} handlers
+ * @param {() => Promise<string|null>} handlers.fetchUrl - Get a fresh WebSocket URL, null on failure (already logged)
+ * @param {() => void} handlers.onOpen
+ * @param {(data: any) => void} handlers.onMessage
+ * @param {(code: number, reason: string) => void} handlers.onClose - Only for connections that were open
+ * @param {(attempt: number) => void} handlers.onRetry - Before each reconnect is scheduled
+ * @param {object} options
+ * @param {Partial<typeof DEFAULT_CONNECTION_SETTINGS>} [options.settings]
+ * @param {Function} options.WebSocket
+ * @param {import('../clock').Clock} options.clock
+ * @param {import('../logger').Logger} options.log
+ * @param {() => number} [options.random] - Jitter source, for tests
+ * @returns {{start: () => Promise<void>, stop: () => void, dataReceived: () => void, getState: () => string}}
+ */
+const createConnection = ({ fetchUrl, onOpen, onMessage, onClose, onRetry }, { settings = {}, WebSocket, clock, log, random = Math.random }) => {
+    const config = { ...DEFAULT_CONNECTION_SETTINGS, ...settings }
+    let state = 'idle'
+    let url = null
+    let refreshUrl = false
+    let socket = null
+    let attempt = 0
+    let reconnectTimer = null
+    let pingTimer = null
+    let silenceTimer = null
+    let pongPending = false
+
+    const clearSocketTimers = () => {
+        clock.clearInterval(pingTimer)
+        clock.clearTimeout(silenceTimer)
+        pingTimer = null
+        silenceTimer = null
+    }
+
+    // The one place reconnects are scheduled
+    const retry = () => {
+        if (state === 'stopped') return
+        attempt++
+
+        // A URL that keeps failing may carry an expired token - ask Pulsoid again
+        if (attempt % config.refreshAfterFailures === 0) refreshUrl = true
+
+        const delay = getReconnectDelay(attempt, config, random)
+        state = 'waiting'
+        log.status('Reconnecting in %s seconds... (attempt %d)', (delay / 1000).toFixed(1), attempt)
+        onRetry(attempt)
+        reconnectTimer = clock.setTimeout(() => {
+            reconnectTimer = null
+            connect()
+        }, delay)
+    }
+
+    // Give up on a socket that looks alive but isn't - its close event is ignored from here on
+    const drop = (reason) => {
+        const ws = socket
+        socket = null
+        clearSocketTimers()
+        log.warn('%s - reconnecting', reason)
+        if (typeof ws.terminate === 'function') ws.terminate()
+        else ws.close()
+        onClose(1006, reason)
+        retry()
+    }
+
+    const resetSilenceTimer = () => {
+        clock.clearTimeout(silenceTimer)
+        silenceTimer = clock.setTimeout(() => {
+            refreshUrl = true
+            drop(`No heart rate data for ${config.silenceTimeout} seconds`)
+        }, config.silenceTimeout * 1000)
+    }
+
+    const open = () => {
+        state = 'connecting'
+        log.status('Connecting to Pulsoid WebSocket...')
+
+        let ws
+        try {
+            ws = new WebSocket(url)
+        } catch (err) {
+            log.error('Failed to create WebSocket: %s', err.message)
+            refreshUrl = true
+            retry()
+            return
+        }
+        socket = ws
+        let stable = false
+
+        ws.on('open', () => {
+            if (ws !== socket) return
+            state = 'open'
+            log.status('Connected to Pulsoid!')
+            pongPending = false
+            resetSilenceTimer()
+
+            // A half-open socket never closes by itself - a ping without a pong gives it away
+            if (typeof ws.ping === 'function') {
+                pingTimer = clock.setInterval(() => {
+                    if (pongPending) {
+                        drop(`No answer to ping for ${config.pingInterval} seconds`)
+                        return
+                    }
+                    pongPending = true
+                    ws.ping()
+                }, config.pingInterval * 1000)
+            }
+            onOpen()
+        })
+
+        ws.on('pong', () => {
+            if (ws === socket) pongPending = false
+        })
+
+        ws.on('message', (data) => {
+            if (ws !== socket) return
+            pongPending = false
+
+            // Backoff starts over only once a connection has delivered something
+            if (!stable) {
+                stable = true
+                attempt = 0
+            }
+            onMessage(data)
+        })
+
+        ws.on('error', (err) => {
+            if (ws !== socket) return
+            if (err.message.includes('401') || err.message.includes('403')) {
+                log.error('Authentication failed - widget token may have expired')
+                log.info('Will fetch a new WebSocket URL before reconnecting')
+                refreshUrl = true
+            } else if (err.message.includes('ENOTFOUND') || err.message.includes('ENETUNREACH')) {
+                log.error('Network error - cannot reach Pulsoid servers')
+            } else {
+                log.error('WebSocket error: %s', err.message)
+            }
+        })
+
+        // Follows every error too, so reconnecting is left to this handler
+        ws.on('close', (code, reason) => {
+            if (ws !== socket) return
+            socket = null
+            clearSocketTimers()
+            const wasOpen = state === 'open'
+            const reasonStr = reason?.toString() || 'unknown'
+            log.status('WebSocket closed (code: %d, reason: %s)', code, reasonStr)
+            if (wasOpen) onClose(code, reasonStr)
+            retry()
+        })
+    }
+
+    const connect = async () => {
+        if (state !== 'idle' && state !== 'waiting') return
+
+        if (!url || refreshUrl) {
+            state = 'fetching'
+            const fetched = await fetchUrl()
+            if (state !== 'fetching') return
+            if (!fetched) {
+                retry()
+                return
+            }
+            url = fetched
+            refreshUrl = false
+        }
+
+        open()
+    }
+
+    const start = () => connect()
+
+    const stop = () => {
+        state = 'stopped'
+        clock.clearTimeout(reconnectTimer)
+        clearSocketTimers()
+        if (socket) {
+            const ws = socket
+            socket = null
+            ws.close()
+        }
+    }
+
+    // Heart rate readings, not just any message, keep the connection from counting as silent
+    const dataReceived = () => {
+        if (state === 'open') resetSilenceTimer()
+    }
+
+    return { start, stop, dataReceived, getState: () => state }
+}
+
+exports.DEFAULT_CONNECTION_SETTINGS = DEFAULT_CONNECTION_SETTINGS
+exports.validateConnectionSettings = validateConnectionSettings
+exports.getReconnectDelay = getReconnectDelay
+exports.createConnection = createConnection
@@ -0,0 +1,92 @@
+/**
+ * Heart rate sources
+ *
+ * A source is created with handlers and returns { start, stop }. It calls
+ * onConnect() when readings can start arriving, onReading(heartRate, payload,
+ * measuredAt) for every reading (measuredAt is null unless the source knows
+ * when it was measured) and onDisconnect(code, reason) when it loses its input.
+ * Sources that reconnect also call onReconnect(attempt) before each retry, and
+ * the Pulsoid source calls onMessage(result, payload) for every WebSocket message.
+ */
+
+const { createPulsoidSource } = require('./pulsoid')
+const { validateConnectionSettings } = require('./connection')
+const { validateSyntheticSource, createSyntheticSource } = require('./synthetic')
+const { validateReplaySource, createReplaySource } = require('./replay')
+
+const SOURCE_TYPES = ['pulsoid', 'synthetic', 'replay']
+
+/**
+ * Validate a "source" config section
+ * @param {any} source
+ * @returns {string|null} Error message, or null if valid
+ */
+const validateSource = (source) => {
+    if (typeof source !== 'object' || source === null || Array.isArray(source)) {
+        return 'Config "source" must be an object like { "type": "pulsoid" }'
+    }
+
+    if (!SOURCE_TYPES.includes(source.type)) {
+        return `Source: "type" must be one of: ${SOURCE_TYPES.join(', ')}`
+    }
+
+    if (source.type === 'synthetic') return validateSyntheticSource(source)
+    if (source.type === 'replay') return validateReplaySource(source)
+    return validateConnectionSettings(source)
+}
+
+/**
+ * Parse a --source command line value: "pulsoid", "synthetic[:mode]" or "replay:<file>"
+ * @param {string} spec
+ * @returns {object}
+ */
+const parseSourceSpec = (spec) => {
+    const separator = spec.indexOf(':')
+    const type = separator === -1 ? spec : spec.slice(0, separator)
+    const argument = separator === -1 ? '' : spec.slice(separator + 1)
+
+    if (type === 'synthetic' && argument) return { type, mode: argument }
+    if (type === 'replay') return { type, file: argument }
+    return { type }
+}
+
+/**
+ * Pick the source to use - the command line wins over the config
+ * @param {object|undefined} cliSource
+ * @param {object|undefined} configSource
+ * @returns {object}
+ */
+const resolveSource = (cliSource, configSource) => {
+    if (!cliSource) return configSource || { type: 'pulsoid' }
+
+    // Keep config options (ranges, speed...) when the command line picks the same type
+    if (configSource && configSource.type === cliSource.type) {
+        return { ...configSource, ...cliSource }
+    }
+    return cliSource
+}
+
+/**
+ * Create a heart rate source
+ * @param {object} source - Validated source config
+ * @param {string} widgetId - Used by the Pulsoid source
+ * @param {{onConnect: () => void, onReading: (heartRate: number, payload: any, measuredAt?: number|null) => void, onDisconnect: (code: number, reason: string) => void, onReconnect?: (attempt: number) => void, onMessage?: (result: string, payload: any) => void}} handlers
+ * @param {{clock?: object, WebSocket?: Function, log?: object, random?: Function}} [options] - Clock, WebSocket implementation, logger and reconnect jitter
+ * @returns {{start: () => Promise<void>, stop: () => void}}
+ */
+const createSource = (source, widgetId, handlers, options = {}) => {
+    switch (source.type) {
+        case 'synthetic':
+            return createSyntheticSource(source, handlers, options)
+        case 'replay':
+            return createReplaySource(source, handlers, options)
+        default:
+            return createPulsoidSource(source, widgetId, handlers, options)
+    }
+}
+
+exports.SOURCE_TYPES = SOURCE_TYPES
+exports.validateSource = validateSource
+exports.parseSourceSpec = parseSourceSpec
+exports.resolveSource = resolveSource
+exports.createSource = createSource
@@ -0,0 +1,206 @@
+const DefaultWebSocket = require('ws')
+const { systemClock } = require('../clock')
+const { logger } = require('../logger')
+const { createConnection } = require('./connection')
+
+/**
+ * Pulsoid's widget RPC endpoint - a "rpcUrl" in the source config replaces it (local stand-in servers)
+ */
+const PULSOID_RPC_URL = 'https://pulsoid.net/v1/api/public/rpc'
+
+/**
+ * Validate widget ID format (UUID)
+ * @param {string} widgetId
+ * @returns {boolean}
+ */
+const isValidWidgetId = (widgetId) => {
+    const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i
+    return uuidRegex.test(widgetId)
+}
+
+/**
+ * Convert a ramiel timestamp to milliseconds
+ * @param {any} value - Epoch milliseconds or seconds, as a number or text, or a date string
+ * @returns {number|null}
+ */
+const parseMeasuredAt = (value) => {
+    if (typeof value === 'string' && value.trim() !== '') {
+        const number = Number(value)
+        value = Number.isNaN(number) ? Date.parse(value) : number
+    }
+    if (typeof value !== 'number' || !Number.isFinite(value) || value <= 0) return null
+
+    // Epoch seconds stay below 1e12 for thousands of years, milliseconds passed it in 2001
+    return value < 1e12 ? value * 1000 : value
+}
+
+/**
+ * Read a ramiel message - { "measured_at": 1700000000000, "data": { "heart_rate": 72 } }, and the
+ * other shapes seen from widgets and recordings: "heartRate" instead of "heart_rate", fields at the
+ * top level instead of in "data", "measuredAt" or "timestamp" instead of "measured_at"
+ * @param {any} payload - Parsed JSON
+ * @returns {{heartRate: number|null, measuredAt: number|null}} measuredAt in epoch milliseconds; null for whatever the message doesn't have
+ */
+const parseRamielMessage = (payload) => {
+    if (typeof payload !== 'object' || payload === null) return { heartRate: null, measuredAt: null }
+    const data = typeof payload.data === 'object' && payload.data !== null ? payload.data : {}
+
+    // The first field with a usable value wins - 0 is what some monitors send while they start up, not a reading
+    const heartRate = [data.heart_rate, data.heartRate, payload.heart_rate, payload.heartRate]
+        .map(value => typeof value === 'number' || (typeof value === 'string' && value.trim() !== '') ? Number(value) : NaN)
+        .find(value => Number.isFinite(value) && value > 0)
+
+    return {
+        heartRate: heartRate ?? null,
+        measuredAt: parseMeasuredAt(payload.measured_at ?? payload.measuredAt ?? data.measured_at ?? data.measuredAt ?? payload.timestamp ?? data.timestamp)
+    }
+}
+
+/**
+ * Get WebSocket URL from Pulsoid widget RPC
+ * @param {string} widgetId 
+ * @param {string} [rpcUrl]
+ * @returns {Promise<{url: string, status: string}>}
+ */
+const getWebSocketUrl = async (widgetId, rpcUrl = PULSOID_RPC_URL) => {
+    let response
+    try {
+        response = await fetch(rpcUrl, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'x-rpc-method': 'getWidget'
+            },
+            body: JSON.stringify({
+                jsonrpc: '2.0',
+                method: 'getWidget',
+                params: { widgetId },
+                id: '1'
+            })
+        })
+    } catch (err) {
+        throw new Error(`NETWORK_ERROR: Cannot reach Pulsoid servers - ${err.message}`)
+    }
+
+    if (!response.ok) {
+        throw new Error(`HTTP_ERROR: Pulsoid returned status ${response.status}`)
+    }
+
+    let data
+    try {
+        data = await response.json()
+    } catch (err) {
+        throw new Error('PARSE_ERROR: Invalid response from Pulsoid')
+    }
+
+    if (data.error) {
+        if (data.error.message?.includes('not found') || data.error.code === -32600) {
+            throw new Error('WIDGET_NOT_FOUND: Widget ID does not exist or was deleted')
+        }
+        throw new Error(`RPC_ERROR: ${data.error.message || 'Unknown RPC error'}`)
+    }
+
+    if (!data.result) {
+        throw new Error('WIDGET_NOT_FOUND: Widget ID does not exist')
+    }
+
+    if (!data.result.ramielUrl) {
+        throw new Error('WIDGET_INACTIVE: Widget exists but is not currently streaming (no active heart rate source)')
+    }
+
+    return {
+        url: data.result.ramielUrl,
+        status: data.result.status || 'unknown'
+    }
+}
+
+/**
+ * Heart rate source reading a Pulsoid widget's ramiel WebSocket
+ * @param {object} source - Source config ({ type: "pulsoid", rpcUrl?, pingInterval?, ... })
+ * @param {string} widgetId
+ * @param {{onConnect: () => void, onReading: (heartRate: number, payload: any, measuredAt: number|null) => void, onDisconnect: (code: number, reason: string) => void, onReconnect?: (attempt: number) => void, onMessage?: (result: 'reading'|'parseFailure'|'noHeartRate', payload: any) => void}} handlers
+ * @param {{clock?: import('../clock').Clock, WebSocket?: typeof DefaultWebSocket, log?: import('../logger').Logger, random?: () => number}} [options] - Replacements for tests
+ * @returns {{start: () => Promise<void>, stop: () => void}}
+ */
+const createPulsoidSource = (source, widgetId, { onConnect, onReading, onDisconnect, onReconnect = () => { }, onMessage = () => { } }, { clock = systemClock, WebSocket = DefaultWebSocket, log = logger, random } = {}) => {
+    let noDataWarningShown = false
+
+    // Fetch WebSocket URL with detailed error handling
+    const fetchWebSocketUrl = async () => {
+        log.status('Fetching WebSocket URL from Pulsoid...')
+        try {
+            const result = await getWebSocketUrl(widgetId, source.rpcUrl)
+            log.status('Got WebSocket URL!')
+            return result.url
+        } catch (err) {
+            const errorType = err.message.split(':')[0]
+
+            switch (errorType) {
+                case 'NETWORK_ERROR':
+                    log.error('Cannot connect to Pulsoid servers')
+                    log.hint('error', 'Check your internet connection')
+                    break
+                case 'WIDGET_NOT_FOUND':
+                    log.error('Widget not found!')
+                    log.hint('error', 'Your widget ID does not exist or was deleted')
+                    log.hint('error', 'Get your correct widget ID from: https://pulsoid.net/ui/widgets')
+                    break
+                case 'WIDGET_INACTIVE':
+                    log.warn('Widget exists but is not active!')
+                    log.hint('warn', 'Possible reasons:')
+                    log.hint('warn', '  - Heart rate monitor is not connected to Pulsoid')
+                    log.hint('warn', '  - Pulsoid app is not running on your phone/watch')
+                    log.hint('warn', '  - Widget was created but never activated')
+                    log.hint('warn', 'Start your heart rate monitor and Pulsoid app first!')
+                    break
+                default:
+                    log.error('%s', err.message)
+            }
+            return null
+        }
+    }
+
+    const handleMessage = (data) => {
+        log.debug('Received %s', data.toString().substring(0, 200))
+        let parsed
+        try {
+            parsed = JSON.parse(data.toString())
+        } catch (error) {
+            log.error('Failed to parse data: %s', data.toString().substring(0, 100))
+            onMessage('parseFailure', data.toString())
+            return
+        }
+
+        const { heartRate, measuredAt } = parseRamielMessage(parsed)
+
+        if (heartRate === null) {
+            // Only log occasionally to avoid spam
+            if (!noDataWarningShown) {
+                log.info('Received message but no heart rate value (monitor may be initializing)')
+                noDataWarningShown = true
+            }
+            onMessage('noHeartRate', parsed)
+            return
+        }
+
+        noDataWarningShown = false
+        connection.dataReceived()
+        onMessage('reading', parsed)
+        onReading(heartRate, parsed, measuredAt)
+    }
+
+    const connection = createConnection({
+        fetchUrl: fetchWebSocketUrl,
+        onOpen: onConnect,
+        onMessage: handleMessage,
+        onClose: onDisconnect,
+        onRetry: onReconnect
+    }, { settings: source, WebSocket, clock, log, random })
+
+    return { start: connection.start, stop: connection.stop }
+}
+
+exports.isValidWidgetId = isValidWidgetId
+exports.parseRamielMessage = parseRamielMessage
+exports.getWebSocketUrl = getWebSocketUrl
+exports.createPulsoidSource = createPulsoidSource
@@ -0,0 +1,147 @@
+const fs = require('fs')
+const path = require('path')
+const { parseRamielMessage } = require('./pulsoid')
+const { systemClock } = require('../clock')
+const { logger } = require('../logger')
+
+/**
+ * Validate a replay source config
+ * @param {object} source
+ * @returns {string|null} Error message, or null if valid
+ */
+const validateReplaySource = (source) => {
+    if (!source.file || typeof source.file !== 'string') {
+        return 'Source: replay needs a "file" (JSONL or CSV recording)'
+    }
+
+    if (source.speed !== undefined && (typeof source.speed !== 'number' || source.speed <= 0)) {
+        return 'Source: "speed" must be a positive number (1 = real time)'
+    }
+
+    if (source.loop !== undefined && typeof source.loop !== 'boolean') {
+        return 'Source: "loop" must be true or false'
+    }
+
+    return null
+}
+
+/**
+ * Convert a timestamp (milliseconds or date string) to milliseconds
+ * @param {any} value
+ * @returns {number|null}
+ */
+const parseTime = (value) => {
+    if (typeof value === 'number') return value
+    if (typeof value === 'string' && value.trim() !== '') {
+        const number = Number(value)
+        if (!Number.isNaN(number)) return number
+        const date = Date.parse(value)
+        if (!Number.isNaN(date)) return date
+    }
+    return null
+}
+
+/**
+ * Read recorded readings from a JSONL or CSV file
+ * @param {string} file
+ * @returns {{time: number, heartRate: number, payload: any}[]}
+ */
+const readRecording = (file) => {
+    const lines = fs.readFileSync(file, 'utf-8').split(/\r?\n/).filter(line => line.trim() !== '')
+    const entries = []
+
+    if (path.extname(file).toLowerCase() === '.csv') {
+        const header = lines.shift().split(',').map(column => column.trim())
+        const timeColumn = header.findIndex(column => ['time', 'timestamp'].includes(column))
+        const heartRateColumn = header.findIndex(column => ['heartRate', 'heart_rate', 'bpm'].includes(column))
+        if (heartRateColumn === -1) {
+            throw new Error('CSV needs a "heartRate" column')
+        }
+
+        const typeColumn = header.indexOf('type')
+        lines.forEach((line, index) => {
+            const columns = line.split(',')
+            // Session recordings also hold events - dropped readings among them
+            if (typeColumn !== -1 && columns[typeColumn] && columns[typeColumn] !== 'reading') return
+            const heartRate = Number(columns[heartRateColumn])
+            if (!heartRate) return
+            const time = timeColumn === -1 ? null : parseTime(columns[timeColumn])
+            entries.push({ time: time ?? index * 1000, heartRate, payload: { heartRate } })
+        })
+        return entries
+    }
+
+    lines.forEach((line, index) => {
+        let entry
+        try {
+            entry = JSON.parse(line)
+        } catch (err) {
+            throw new Error(`Line ${index + 1} is not valid JSON`)
+        }
+
+        // Session recordings also hold events - dropped readings among them
+        if (entry.type !== undefined && entry.type !== 'reading') return
+
+        const payload = entry.payload ?? entry
+        const message = parseRamielMessage(payload)
+        const heartRate = entry.heartRate ?? message.heartRate
+        if (!heartRate) return
+
+        const time = parseTime(entry.time ?? entry.timestamp) ?? message.measuredAt
+        entries.push({ time: time ?? index * 1000, heartRate, payload })
+    })
+    return entries
+}
+
+/**
+ * Heart rate source that plays back a recorded session with its original timing
+ * @param {object} source - Source config ({ type: "replay", file, speed, loop })
+ * @param {{onConnect: () => void, onReading: (heartRate: number, payload: any) => void, onDisconnect: (code: number, reason: string) => void}} handlers
+ * @param {{clock?: import('../clock').Clock, log?: import('../logger').Logger}} [options]
+ * @returns {{start: () => Promise<void>, stop: () => void}}
+ */
+const createReplaySource = (source, { onConnect, onReading, onDisconnect }, { clock = systemClock, log = logger } = {}) => {
+    const speed = source.speed || 1
+    let entries = []
+    let timer = null
+
+    const play = (index) => {
+        const entry = entries[index]
+        onReading(entry.heartRate, entry.payload)
+
+        if (index + 1 < entries.length) {
+            const delay = (entries[index + 1].time - entry.time) / speed
+            timer = clock.setTimeout(() => play(index + 1), Math.max(0, delay))
+        } else if (source.loop) {
+            timer = clock.setTimeout(() => play(0), 1000 / speed)
+        } else {
+            log.status('Replay finished')
+            onDisconnect(1000, 'replay finished')
+        }
+    }
+
+    const start = async () => {
+        try {
+            entries = readRecording(source.file)
+        } catch (err) {
+            throw new Error(`Cannot read replay file "${source.file}": ${err.message}`)
+        }
+
+        if (entries.length === 0) {
+            throw new Error(`Replay file "${source.file}" has no heart rate readings`)
+        }
+
+        log.status('Replaying %d reading(s) from %s at %dx speed', entries.length, source.file, speed)
+        onConnect()
+        play(0)
+    }
+
+    const stop = () => {
+        clock.clearTimeout(timer)
+    }
+
+    return { start, stop }
+}
+
+exports.validateReplaySource = validateReplaySource
+exports.createReplaySource = createReplaySource
@@ -0,0 +1,128 @@
+/**
+ * Synthetic heart rate source - tune an avatar without wearing a strap or being online
+ */
+
+const { systemClock } = require('../clock')
+const { logger } = require('../logger')
+
+const SYNTHETIC_MODES = ['constant', 'sine', 'randomWalk', 'ramp']
+
+/**
+ * Validate a synthetic source config
+ * @param {object} source
+ * @returns {string|null} Error message, or null if valid
+ */
+const validateSyntheticSource = (source) => {
+    const mode = source.mode || 'constant'
+    if (!SYNTHETIC_MODES.includes(mode)) {
+        return `Source: "mode" must be one of: ${SYNTHETIC_MODES.join(', ')}`
+    }
+
+    for (const field of ['interval', 'bpm', 'min', 'max', 'period', 'step']) {
+        if (source[field] !== undefined && (typeof source[field] !== 'number' || source[field] <= 0)) {
+            return `Source: "${field}" must be a positive number`
+        }
+    }
+
+    if ((source.min || 60) >= (source.max || 120)) {
+        return 'Source: "min" must be less than "max"'
+    }
+
+    if (mode === 'ramp') {
+        if (!Array.isArray(source.points) || source.points.length === 0) {
+            return 'Source: ramp mode needs "points" like [{ "time": 0, "bpm": 60 }, { "time": 60, "bpm": 160 }]'
+        }
+        for (let i = 0; i < source.points.length; i++) {
+            const point = source.points[i]
+            if (typeof point?.time !== 'number' || point.time < 0 || typeof point.bpm !== 'number' || point.bpm <= 0) {
+                return `Source: Ramp point ${i + 1} must have a "time" (seconds, 0 or more) and a positive "bpm"`
+            }
+            if (i > 0 && point.time <= source.points[i - 1].time) {
+                return `Source: Ramp point ${i + 1} must come after point ${i}`
+            }
+        }
+    }
+
+    if (source.loop !== undefined && typeof source.loop !== 'boolean') {
+        return 'Source: "loop" must be true or false'
+    }
+
+    return null
+}
+
+/**
+ * Build the heart rate generator for a mode
+ * @param {object} source
+ * @returns {(seconds: number) => number} Heart rate for seconds since start
+ */
+const createGenerator = (source) => {
+    const min = source.min || 60
+    const max = source.max || 120
+
+    switch (source.mode || 'constant') {
+        case 'sine': {
+            const period = source.period || 60
+            return (seconds) => (min + max) / 2 + (max - min) / 2 * Math.sin(2 * Math.PI * seconds / period)
+        }
+        case 'randomWalk': {
+            const step = source.step || 3
+            let current = source.bpm || (min + max) / 2
+            return () => {
+                current = Math.max(min, Math.min(max, current + (Math.random() * 2 - 1) * step))
+                return current
+            }
+        }
+        case 'ramp': {
+            const points = source.points
+            const duration = points[points.length - 1].time
+            return (seconds) => {
+                const time = source.loop && duration > 0 ? seconds % duration : seconds
+                if (time <= points[0].time) return points[0].bpm
+
+                const nextIndex = points.findIndex(point => point.time >= time)
+                if (nextIndex === -1) return points[points.length - 1].bpm
+
+                const from = points[nextIndex - 1]
+                const to = points[nextIndex]
+                return from.bpm + (to.bpm - from.bpm) * (time - from.time) / (to.time - from.time)
+            }
+        }
+        default:
+            return () => source.bpm || 80
+    }
+}
+
+/**
+ * Heart rate source that generates readings locally
+ * @param {object} source - Source config ({ type: "synthetic", mode, ... })
+ * @param {{onConnect: () => void, onReading: (heartRate: number, payload: any) => void, onDisconnect: (code: number, reason: string) => void}} handlers
+ * @param {{clock?: import('../clock').Clock, log?: import('../logger').Logger}} [options]
+ * @returns {{start: () => Promise<void>, stop: () => void}}
+ */
+const createSyntheticSource = (source, { onConnect, onReading }, { clock = systemClock, log = logger } = {}) => {
+    const generate = createGenerator(source)
+    let timer = null
+    let startTime = null
+
+    const tick = () => {
+        const heartRate = Math.round(generate((clock.now() - startTime) / 1000))
+        onReading(heartRate, { heartRate, source: 'synthetic' })
+    }
+
+    const start = async () => {
+        log.status('Using synthetic heart rate (%s mode)', source.mode || 'constant')
+        startTime = clock.now()
+        onConnect()
+        tick()
+        timer = clock.setInterval(tick, (source.interval || 1) * 1000)
+    }
+
+    const stop = () => {
+        clock.clearInterval(timer)
+    }
+
+    return { start, stop }
+}
+
+exports.validateSyntheticSource = validateSyntheticSource
+exports.createSyntheticSource = createSyntheticSource
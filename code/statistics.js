@@ -0,0 +1,172 @@
+/**
+ * Rolling heart rate statistics for expressions: average, session min/max, trend and zone
+ *
+ * Kept for the whole run of the bridge, so a reconnect doesn't reset them.
+ */
+
+/**
+ * Defaults for the "statistics" config section (seconds / BPM per minute)
+ */
+const DEFAULT_AVERAGE_WINDOW = 60
+const DEFAULT_TREND_WINDOW = 30
+const DEFAULT_TREND_THRESHOLD = 2
+
+/**
+ * Zones used when the config doesn't set any: 50/60/70/80/90% of 190 BPM
+ */
+const DEFAULT_MAX_HEART_RATE = 190
+const DEFAULT_ZONE_PERCENTAGES = [50, 60, 70, 80, 90]
+
+/**
+ * Check that a list is non-empty, all numbers and strictly increasing
+ * @param {any} values
+ * @returns {boolean}
+ */
+const isIncreasingNumbers = (values) => {
+    return Array.isArray(values) && values.length > 0 &&
+        values.every((value, i) => typeof value === 'number' && (i === 0 || value > values[i - 1]))
+}
+
+/**
+ * Validate the "statistics" config section
+ * @param {any} statistics
+ * @returns {string|null} Error message, or null if valid
+ */
+const validateStatistics = (statistics) => {
+    if (typeof statistics !== 'object' || statistics === null || Array.isArray(statistics)) {
+        return 'Config "statistics" must be an object'
+    }
+
+    for (const key of ['averageWindow', 'trendWindow']) {
+        const value = statistics[key]
+        if (value !== undefined && (typeof value !== 'number' || value <= 0)) {
+            return `Statistics: "${key}" must be a positive number of seconds`
+        }
+    }
+
+    const threshold = statistics.trendThreshold
+    if (threshold !== undefined && (typeof threshold !== 'number' || threshold < 0)) {
+        return 'Statistics: "trendThreshold" must be a number of BPM per minute (0 or more)'
+    }
+
+    const zones = statistics.zones
+    if (zones === undefined) return null
+
+    if (Array.isArray(zones)) {
+        if (!isIncreasingNumbers(zones)) {
+            return 'Statistics: "zones" must be a list of increasing BPM boundaries like [100, 120, 140, 160, 180]'
+        }
+        return null
+    }
+
+    if (typeof zones !== 'object' || zones === null) {
+        return 'Statistics: "zones" must be a list of BPM boundaries or { "maxHeartRate": 190, "percentages": [50, 60, 70, 80, 90] }'
+    }
+
+    if (zones.maxHeartRate !== undefined && (typeof zones.maxHeartRate !== 'number' || zones.maxHeartRate <= 0)) {
+        return 'Statistics: "zones.maxHeartRate" must be a positive number'
+    }
+
+    if (zones.percentages !== undefined && (!isIncreasingNumbers(zones.percentages) ||
+        zones.percentages.some(percentage => percentage <= 0 || percentage > 100))) {
+        return 'Statistics: "zones.percentages" must be increasing percentages of max heart rate, like [50, 60, 70, 80, 90]'
+    }
+
+    return null
+}
+
+/**
+ * Zone boundaries in BPM
+ * @param {object|undefined} statistics - "statistics" config section
+ * @returns {number[]}
+ */
+const getZoneBoundaries = (statistics) => {
+    const zones = statistics?.zones
+    if (Array.isArray(zones)) return zones
+
+    const maxHeartRate = zones?.maxHeartRate || DEFAULT_MAX_HEART_RATE
+    const percentages = zones?.percentages || DEFAULT_ZONE_PERCENTAGES
+    return percentages.map(percentage => maxHeartRate * percentage / 100)
+}
+
+/**
+ * Zone of a heart rate - 0 below the first boundary, 1 from the first boundary, and so on
+ * @param {number} heartRate
+ * @param {number[]} boundaries
+ * @returns {number}
+ */
+const getZone = (heartRate, boundaries) => boundaries.filter(boundary => heartRate >= boundary).length
+
+/**
+ * Slope of the least-squares line through the readings, in BPM per minute
+ * @param {{time: number, heartRate: number}[]} readings
+ * @returns {number}
+ */
+const slope = (readings) => {
+    if (readings.length < 2) return 0
+
+    const meanTime = readings.reduce((sum, reading) => sum + reading.time, 0) / readings.length
+    const meanHeartRate = readings.reduce((sum, reading) => sum + reading.heartRate, 0) / readings.length
+    let covariance = 0
+    let variance = 0
+    readings.forEach(reading => {
+        covariance += (reading.time - meanTime) * (reading.heartRate - meanHeartRate)
+        variance += (reading.time - meanTime) ** 2
+    })
+    return variance === 0 ? 0 : covariance / variance * 60000
+}
+
+/**
+ * Create the statistics for one run of the bridge
+ * @returns {{add: (heartRate: number, time: number, statistics?: object) => void, get: (time: number, statistics?: object) => object}}
+ */
+const createStatistics = () => {
+    let readings = []
+    let sessionMin = null
+    let sessionMax = null
+
+    /**
+     * Add a reading - readings older than both windows are dropped
+     * @param {number} heartRate
+     * @param {number} time
+     * @param {object} [statistics] - "statistics" config section
+     */
+    const add = (heartRate, time, statistics) => {
+        readings.push({ time, heartRate })
+        sessionMin = sessionMin === null ? heartRate : Math.min(sessionMin, heartRate)
+        sessionMax = sessionMax === null ? heartRate : Math.max(sessionMax, heartRate)
+
+        const keepMs = Math.max(statistics?.averageWindow || DEFAULT_AVERAGE_WINDOW, statistics?.trendWindow || DEFAULT_TREND_WINDOW) * 1000
+        readings = readings.filter(reading => time - reading.time <= keepMs)
+    }
+
+    /**
+     * Current values of the expression variables
+     * @param {number} time - Time of the latest reading
+     * @param {object} [statistics] - "statistics" config section
+     * @returns {{avgHeartRate: number, sessionMin: number, sessionMax: number, trend: number, trendSlope: number}}
+     */
+    const get = (time, statistics) => {
+        const averageMs = (statistics?.averageWindow || DEFAULT_AVERAGE_WINDOW) * 1000
+        const trendMs = (statistics?.trendWindow || DEFAULT_TREND_WINDOW) * 1000
+        const threshold = statistics?.trendThreshold ?? DEFAULT_TREND_THRESHOLD
+
+        const averageReadings = readings.filter(reading => time - reading.time <= averageMs)
+        const trendSlope = slope(readings.filter(reading => time - reading.time <= trendMs))
+
+        return {
+            avgHeartRate: averageReadings.reduce((sum, reading) => sum + reading.heartRate, 0) / averageReadings.length,
+            sessionMin,
+            sessionMax,
+            trend: trendSlope > threshold ? 1 : trendSlope < -threshold ? -1 : 0,
+            trendSlope
+        }
+    }
+
+    return { add, get }
+}
+
+exports.validateStatistics = validateStatistics
+exports.getZoneBoundaries = getZoneBoundaries
+exports.getZone = getZone
+exports.createStatistics = createStatistics
@@ -0,0 +1,165 @@
+/**
+ * "trigger" parameters - on/off events like "HR above 140 for 20 seconds"
+ *
+ * A trigger turns on when its value crosses "above" (or "below") and stays on
+ * until the value crosses back past "exit", so a reading wobbling around the
+ * threshold doesn't make it flicker.
+ */
+
+const { parseExpression } = require('./expression')
+const { systemClock } = require('./clock')
+
+/**
+ * How long a "pulse" trigger output stays on unless "pulseSeconds" says otherwise
+ */
+const DEFAULT_PULSE_SECONDS = 1
+
+/**
+ * Validate a parameter "trigger" block
+ * @param {any} trigger
+ * @returns {string|null} Error message, or null if valid
+ */
+const validateTrigger = (trigger) => {
+    if (typeof trigger !== 'object' || trigger === null || Array.isArray(trigger)) {
+        return '"trigger" must be an object like { "above": 140, "exit": 130, "for": 20 }'
+    }
+
+    const known = ['when', 'above', 'below', 'exit', 'for', 'output', 'pulseSeconds']
+    const unknown = Object.keys(trigger).find(key => !key.startsWith('_') && !known.includes(key))
+    if (unknown !== undefined) {
+        return `Unknown trigger setting "${unknown}". Use: ${known.join(', ')}`
+    }
+
+    if (trigger.when !== undefined) {
+        if (typeof trigger.when !== 'string') {
+            return '"trigger.when" must be an expression string like "heartRate"'
+        }
+        try {
+            parseExpression(trigger.when)
+        } catch (err) {
+            return `Invalid trigger expression "${trigger.when}" - ${err.message}`
+        }
+    }
+
+    const hasAbove = trigger.above !== undefined
+    const hasBelow = trigger.below !== undefined
+    if (hasAbove === hasBelow) {
+        return '"trigger" must have either "above" or "below"'
+    }
+
+    const threshold = hasAbove ? trigger.above : trigger.below
+    if (typeof threshold !== 'number') {
+        return `"trigger.${hasAbove ? 'above' : 'below'}" must be a number`
+    }
+
+    if (trigger.exit !== undefined) {
+        if (typeof trigger.exit !== 'number') {
+            return '"trigger.exit" must be a number'
+        }
+        if (hasAbove && trigger.exit > threshold) {
+            return '"trigger.exit" must not be higher than "above"'
+        }
+        if (hasBelow && trigger.exit < threshold) {
+            return '"trigger.exit" must not be lower than "below"'
+        }
+    }
+
+    if (trigger.for !== undefined && (typeof trigger.for !== 'number' || trigger.for < 0)) {
+        return '"trigger.for" must be a number of seconds (0 or more)'
+    }
+
+    if (trigger.output !== undefined && !['hold', 'pulse'].includes(trigger.output)) {
+        return '"trigger.output" must be "hold" or "pulse"'
+    }
+
+    if (trigger.pulseSeconds !== undefined) {
+        if (trigger.output !== 'pulse') {
+            return '"trigger.pulseSeconds" requires "output": "pulse"'
+        }
+        if (typeof trigger.pulseSeconds !== 'number' || trigger.pulseSeconds <= 0) {
+            return '"trigger.pulseSeconds" must be a positive number'
+        }
+    }
+
+    return null
+}
+
+/**
+ * Whether a value is past a trigger's threshold (ignores "exit" and "for")
+ * @param {object} trigger
+ * @param {number} value
+ * @returns {boolean}
+ */
+const meetsTrigger = (trigger, value) => {
+    return trigger.above !== undefined ? value > trigger.above : value < trigger.below
+}
+
+/**
+ * Create the state of one trigger parameter
+ * @param {{above?: number, below?: number, exit?: number, for?: number, output?: string, pulseSeconds?: number}} trigger
+ * @param {object} [options]
+ * @param {() => void} [options.onPulseEnd] - A "pulse" output just turned off
+ * @param {import('./clock').Clock} [options.clock]
+ * @returns {{update: (value: number, time: number) => boolean, getValue: () => boolean, stop: () => void}}
+ */
+const createTrigger = (trigger, { onPulseEnd = () => { }, clock = systemClock } = {}) => {
+    const exit = trigger.exit ?? (trigger.above !== undefined ? trigger.above : trigger.below)
+    let active = false
+    let conditionSince = null
+    let pulseTimer = null
+
+    const hasExited = (value) => trigger.above !== undefined ? value < exit : value > exit
+
+    /**
+     * Current output - while active, or while the pulse is on
+     * @returns {boolean}
+     */
+    const getValue = () => trigger.output === 'pulse' ? pulseTimer !== null : active
+
+    const startPulse = () => {
+        clock.clearTimeout(pulseTimer)
+        pulseTimer = clock.setTimeout(() => {
+            pulseTimer = null
+            onPulseEnd()
+        }, (trigger.pulseSeconds || DEFAULT_PULSE_SECONDS) * 1000)
+    }
+
+    /**
+     * Feed a new value
+     * @param {number} value
+     * @param {number} time - Reading time in ms, for "for"
+     * @returns {boolean} Output to send
+     */
+    const update = (value, time) => {
+        if (!Number.isFinite(value)) return getValue()
+
+        if (active) {
+            if (hasExited(value)) active = false
+        } else if (meetsTrigger(trigger, value)) {
+            if (conditionSince === null) conditionSince = time
+            if (time - conditionSince >= (trigger.for || 0) * 1000) {
+                active = true
+                conditionSince = null
+                if (trigger.output === 'pulse') startPulse()
+            }
+        } else {
+            conditionSince = null
+        }
+
+        return getValue()
+    }
+
+    /**
+     * Cancel a pulse in progress (without calling onPulseEnd)
+     */
+    const stop = () => {
+        clock.clearTimeout(pulseTimer)
+        pulseTimer = null
+    }
+
+    return { update, getValue, stop }
+}
+
+exports.validateTrigger = validateTrigger
+exports.meetsTrigger = meetsTrigger
+exports.createTrigger = createTrigger
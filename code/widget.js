@@ -1,41 +1,346 @@
-const WebSocket = require('ws')
-const { Client } = require('node-osc')
+const { EventEmitter } = require('events')
+const { Client, Bundle } = require('node-osc')
 const fs = require('fs')
 const path = require('path')
+const { parseExpression, evaluateExpression, clearExpressionCache } = require('./expression')
+const { validateFilter, createFilter } = require('./filters')
+const { validatePulse, createPulseScheduler } = require('./pulse')
+const { validateChatbox, createChatbox } = require('./chatbox')
+const { validateFallback, createFallbackRunner } = require('./fallback')
+const { validateTrigger, createTrigger } = require('./triggers')
+const { validateStatistics, getZoneBoundaries, getZone, createStatistics } = require('./statistics')
+const { validateDecompose, getParameterAddresses, decomposeValue, composeValue } = require('./decompose')
+const { DEFAULT_REFRESH_INTERVAL, validateSending, validateSendOnChange, isUnchanged } = require('./sending')
+const { validateRecording, createRecorder } = require('./recorder')
+const { validateDashboard, createDashboard } = require('./dashboard')
+const { validateOverlay, createOverlay } = require('./overlay')
+const { validateMetrics, createMetrics } = require('./metrics')
+const { validateOSCQuery, discoverVRChat, readAvatarParameters, readCurrentAvatar, advertiseOSCQuery } = require('./oscquery')
+const { validateAvatarProfiles, findAvatarProfile, listenForAvatarChanges } = require('./avatars')
+const { stringIsnullOrEmpty } = require('./method')
+const { isValidWidgetId } = require('./sources/pulsoid')
+const { validateSource, resolveSource, createSource } = require('./sources')
+const { systemClock } = require('./clock')
+const { validateLogging, createLogger, logger } = require('./logger')
+const { validateSchema, findConfigWarnings, checkSection, checkParameter, joinPath, formatConfigProblem } = require('./schema')
+const { CONFIG_VERSION, migrateConfig } = require('./migrations')
+const { validateWidgets, validateCombine, getCombinedLabels, combineHeartRates, prefixParameters, findSharedAddresses, createWidgetLog } = require('./widgets')
 
 /**
- * Validate widget ID format (UUID)
- * @param {string} widgetId
- * @returns {boolean}
+ * Default path of the OSC parameters config file (--config picks another)
  */
-const isValidWidgetId = (widgetId) => {
-    const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i
-    return uuidRegex.test(widgetId)
+const CONFIG_PATH = path.join(__dirname, '..', 'osc_parameters.json')
+
+/**
+ * Resting heart rate used by expressions when the config doesn't set one
+ */
+const DEFAULT_RESTING_HEART_RATE = 60
+
+/**
+ * How much heart rate history the dashboard chart shows
+ */
+const HISTORY_WINDOW_MS = 5 * 60000
+
+/**
+ * How often to look for VRChat over OSCQuery again (it may start later or change port)
+ */
+const OSCQUERY_REDISCOVER_MS = 60000
+
+/**
+ * Heart rate data older than this counts as stale (disconnected) unless the config sets "staleTimeout"
+ */
+const STALE_DATA_MS = 30000
+
+/**
+ * Readings measured longer ago than this are dropped unless the config sets "maxDataAge"
+ */
+const MAX_DATA_AGE_MS = 10000
+
+/**
+ * Warn when a reading reaches VRChat later than this after it was measured, unless the config sets "latencyWarning"
+ */
+const LATENCY_WARNING_MS = 3000
+
+/**
+ * How far the heart rate source's clock may be behind this PC's before its readings look late
+ */
+const CLOCK_SKEW_ALLOWANCE_MS = 2000
+
+/**
+ * While readings keep being dropped, warn again this often
+ */
+const DROP_WARNING_INTERVAL_MS = 30000
+
+/**
+ * Default OSC target used when the config has no "targets" section
+ */
+const DEFAULT_TARGETS = [
+    { name: "vrchat", host: "localhost", port: 9000 }
+]
+
+/**
+ * Validate one parameter
+ * @param {object} param
+ * @param {string} prefix - Start of the error message, e.g. 'Parameter 2 (HR)'
+ * @param {Set<string>} targetNames - Names from the top-level "targets" list
+ * @param {Set<string>} addresses - Addresses used by earlier parameters of the list - this one's are added
+ * @param {string[]|null} [widgetLabels] - Labels of all widgets when checking the "combined" list
+ * @returns {string|null} Error message, or null if valid
+ */
+const validateParameter = (param, prefix, targetNames, addresses, widgetLabels = null) => {
+    const validTypes = ['int', 'float', 'bool']
+
+    if (!param.name || typeof param.name !== 'string') {
+        return `${prefix}: Missing or invalid "name" field`
+    }
+
+    // Decompose parameters list their addresses in "decompose.addresses" instead
+    if (param.decompose === undefined) {
+        if (!param.address || typeof param.address !== 'string') {
+            return `${prefix}: Missing or invalid "address" field`
+        }
+
+        if (!param.address.startsWith('/avatar/parameters/')) {
+            return `${prefix}: Address must start with "/avatar/parameters/"`
+        }
+    } else if (param.address !== undefined) {
+        return `${prefix}: Use "decompose.addresses" instead of "address"`
+    }
+
+    if (!param.type || !validTypes.includes(param.type)) {
+        return `${prefix}: Type must be one of: ${validTypes.join(', ')}`
+    }
+
+    // Validate decompose (one value split into digits or bits)
+    if (param.decompose !== undefined) {
+        const decomposeError = validateDecompose(param)
+        if (decomposeError) {
+            return `${prefix}: ${decomposeError}`
+        }
+    }
+
+    // Every address - including each generated by decompose - must be unique
+    for (const address of getParameterAddresses(param)) {
+        if (addresses.has(address)) {
+            return `${prefix}: Duplicate address "${address}"`
+        }
+        addresses.add(address)
+    }
+
+    // Validate targets (optional - defaults to every target)
+    if (param.targets !== undefined) {
+        if (!Array.isArray(param.targets) || param.targets.length === 0) {
+            return `${prefix}: "targets" must be an array with at least one target name`
+        }
+        const unknown = param.targets.find(name => !targetNames.has(name))
+        if (unknown !== undefined) {
+            return `${prefix}: Unknown target "${unknown}". Defined targets: ${[...targetNames].join(', ')}`
+        }
+    }
+
+    // Validate value mode (one of 'value', 'outputRange' or 'trigger')
+    const hasValue = param.value !== undefined
+    const hasOutputRange = param.outputRange !== undefined
+    const hasInputRange = param.inputRange !== undefined
+    const hasTrigger = param.trigger !== undefined
+
+    if (!hasValue && !hasOutputRange && !hasTrigger) {
+        return `${prefix}: Must have a "value", "outputRange" or "trigger" field`
+    }
+
+    if (hasValue && hasOutputRange) {
+        return `${prefix}: Cannot use both "value" and "outputRange" - choose one`
+    }
+
+    if (hasTrigger && (hasValue || hasOutputRange)) {
+        return `${prefix}: Cannot use both "trigger" and "${hasValue ? 'value' : 'outputRange'}" - choose one`
+    }
+
+    // Validate trigger (on/off events with hysteresis)
+    if (hasTrigger) {
+        const triggerError = validateTrigger(param.trigger)
+        if (triggerError) {
+            return `${prefix}: ${triggerError}`
+        }
+    }
+
+    if (hasInputRange && !hasOutputRange) {
+        return `${prefix}: "inputRange" requires "outputRange"`
+    }
+
+    // Validate value expression (advanced mode)
+    if (hasValue) {
+        if (typeof param.value !== 'string') {
+            return `${prefix}: "value" must be a string`
+        }
+
+        if (!['toggle', 'connectionStatus', 'pulse'].includes(param.value)) {
+            // Parse now so syntax errors show up at load time, not on the first reading
+            try {
+                parseExpression(param.value)
+            } catch (err) {
+                return `${prefix}: Invalid value expression "${param.value}" - ${err.message}`
+            }
+        }
+
+        if (param.value === 'pulse') {
+            const pulseError = validatePulse(param)
+            if (pulseError) {
+                return `${prefix}: ${pulseError}`
+            }
+        }
+
+        // connectionStatus can only be used with bool type
+        if (param.value === 'connectionStatus' && param.type !== 'bool') {
+            return `${prefix}: "connectionStatus" can only be used with type "bool"`
+        }
+    }
+
+    // Validate outputRange (simple mode)
+    if (hasOutputRange) {
+        if (!Array.isArray(param.outputRange) || param.outputRange.length !== 2) {
+            return `${prefix}: "outputRange" must be an array with 2 numbers [min, max]`
+        }
+        if (typeof param.outputRange[0] !== 'number' || typeof param.outputRange[1] !== 'number') {
+            return `${prefix}: "outputRange" values must be numbers`
+        }
+        if (param.outputRange[0] >= param.outputRange[1]) {
+            return `${prefix}: "outputRange" min must be less than max`
+        }
+    }
+
+    if (param.pulse !== undefined && param.value !== 'pulse') {
+        return `${prefix}: "pulse" settings require "value": "pulse"`
+    }
+
+    // Validate which widgets a "combined" parameter follows, and how
+    if (widgetLabels) {
+        const combineError = validateCombine(param, widgetLabels)
+        if (combineError) {
+            return `${prefix}: ${combineError}`
+        }
+    } else if (param.combine !== undefined || param.of !== undefined) {
+        return `${prefix}: "combine" and "of" only work in the "combined" list`
+    }
+
+    // Validate send-on-change (optional - skip values that didn't change)
+    if (param.sendOnChange !== undefined) {
+        const sendOnChangeError = validateSendOnChange(param)
+        if (sendOnChangeError) {
+            return `${prefix}: ${sendOnChangeError}`
+        }
+    }
+
+    // Validate what happens when data stops (optional - defaults to holding the last value)
+    for (const field of ['onStale', 'onDisconnect']) {
+        if (param[field] === undefined) continue
+        const fallbackError = validateFallback(param, field)
+        if (fallbackError) {
+            return `${prefix}: ${fallbackError}`
+        }
+    }
+
+    // Validate filter (optional smoothing of the heart rate before mapping)
+    if (param.filter !== undefined) {
+        if (['toggle', 'connectionStatus', 'pulse'].includes(param.value)) {
+            return `${prefix}: "filter" cannot be used with "${param.value}"`
+        }
+        const filterError = validateFilter(param.filter)
+        if (filterError) {
+            return `${prefix}: ${filterError}`
+        }
+    }
+
+    // Validate inputRange (optional with outputRange)
+    if (hasInputRange) {
+        if (!Array.isArray(param.inputRange) || param.inputRange.length !== 2) {
+            return `${prefix}: "inputRange" must be an array with 2 numbers [min, max]`
+        }
+        if (typeof param.inputRange[0] !== 'number' || typeof param.inputRange[1] !== 'number') {
+            return `${prefix}: "inputRange" values must be numbers`
+        }
+        if (param.inputRange[0] >= param.inputRange[1]) {
+            return `${prefix}: "inputRange" min must be less than max`
+        }
+    }
+
+    return null
 }
 
 /**
- * Load and validate OSC parameters configuration
- * @returns {{valid: boolean, config?: any, error?: string}}
+ * Validate a list of parameters (the top-level "parameters", an avatar profile's, a widget's or "combined")
+ * @param {any[]} parameters
+ * @param {Set<string>} targetNames - Names from the top-level "targets" list
+ * @param {string} path - JSON path of the list, e.g. 'parameters'
+ * @param {string} [label] - Start of each error message, e.g. 'Parameter'
+ * @param {import('./schema').ConfigProblem[]} [schemaErrors] - Fields with schema errors are left out of the checks
+ * @param {string[]|null} [widgetLabels] - Labels of all widgets, for the "combined" list
+ * @returns {import('./schema').ConfigProblem[]} One error per invalid parameter
  */
-const loadOSCConfig = () => {
-    const configPath = path.join(__dirname, '..', 'osc_parameters.json')
+const validateParameters = (parameters, targetNames, path, label = 'Parameter', schemaErrors = [], widgetLabels = null) => {
+    const addresses = new Set()
+    const errors = []
+
+    parameters.forEach((param, i) => {
+        const paramPath = joinPath(path, i)
+        const error = checkParameter(param, paramPath, schemaErrors, checkable =>
+            validateParameter(checkable, `${label} ${i + 1} (${param.name || 'unnamed'})`, targetNames, addresses, widgetLabels))
+        if (error) errors.push({ path: paramPath, message: error })
+    })
+
+    return errors
+}
+
+/**
+ * Result for a config with errors - "error" has one line per problem
+ * @param {import('./schema').ConfigProblem[]} errors
+ * @param {import('./schema').ConfigProblem[]} [warnings]
+ * @returns {{valid: false, error: string, errors: object[], warnings: object[]}}
+ */
+const invalidConfig = (errors, warnings = []) => ({
+    valid: false,
+    error: errors.map(formatConfigProblem).join('\n'),
+    errors,
+    warnings
+})
+
+/**
+ * Load and validate OSC parameters configuration - files from older versions are migrated
+ * @param {string} [configPath]
+ * @param {object} [options]
+ * @param {boolean} [options.migrateFile] - Save a migrated config back to the file (the old one is kept as a .bak). Default: true
+ * @param {import('./logger').Logger} [options.log] - Where messages go. Default: the shared logger
+ * @returns {{valid: boolean, config?: any, error?: string, errors: object[], warnings: object[], migratedFrom?: number}}
+ */
+const loadOSCConfig = (configPath = CONFIG_PATH, { migrateFile = true, log = logger } = {}) => {
     const defaultConfig = {
+        $schema: './osc_parameters.schema.json',
+        configVersion: CONFIG_VERSION,
         _help: {
             _note: "This section is ignored - it's just for reference",
             "Quick Guide": "See OSC_CONFIG_README.md for full documentation",
             "Simple Mode": "Use 'outputRange' for easy range mapping",
-            "Advanced Mode": "Use 'value' with math expressions for custom formulas",
-            "Types": "int (whole numbers), float (decimals), bool (true/false)"
+            "Advanced Mode": "Use 'value' with expressions like 'clamp((heartRate - 60) / 140, 0, 1)' for custom formulas",
+            "Types": "int (whole numbers), float (decimals), bool (true/false)",
+            "Targets": "List of OSC receivers - parameters go to all of them unless they list their own 'targets'",
+            "Chatbox": "Set chatbox.enabled to true to show your BPM in the VRChat chatbox"
         },
         _examples: {
             _note: "Example configurations (delete this section or keep for reference)",
             "Simple int range": { name: "MyParameter", address: "/avatar/parameters/MyParam", type: "int", outputRange: [0, 200] },
             "Simple float range": { name: "Normalized", address: "/avatar/parameters/Normalized", type: "float", outputRange: [0.0, 1.0] },
             "Custom input/output": { name: "CustomScale", address: "/avatar/parameters/Custom", type: "float", inputRange: [60, 180], outputRange: [0.0, 1.0] },
+            "Smoothed float": { name: "Smooth", address: "/avatar/parameters/Smooth", type: "float", inputRange: [60, 180], outputRange: [0.0, 1.0], filter: { median: 5, ema: 0.3 } },
             "Advanced math": { name: "Advanced", address: "/avatar/parameters/Advanced", type: "float", value: "heartRate / 127 - 1" },
-            "Toggle boolean": { name: "Toggle", address: "/avatar/parameters/Toggle", type: "bool", value: "toggle" }
+            "Toggle boolean": { name: "Toggle", address: "/avatar/parameters/Toggle", type: "bool", value: "toggle" },
+            "Heartbeat pulse": { name: "Pulse", address: "/avatar/parameters/Pulse", type: "bool", value: "pulse", pulse: { dutyCycle: 0.3 } },
+            "High heart rate trigger": { name: "HighHR", address: "/avatar/parameters/HighHR", type: "bool", trigger: { above: 140, exit: 130, for: 20 } },
+            "Only to one target": { name: "RouterOnly", address: "/avatar/parameters/RouterOnly", type: "int", outputRange: [0, 255], targets: ["router"] }
         },
+        targets: DEFAULT_TARGETS,
+        chatbox: { enabled: false, template: "❤ {heartRate} bpm ({trend})", notify: false, clearOnDisconnect: true },
         parameters: [
+            { name: "isHRConnected", address: "/avatar/parameters/isHRConnected", type: "bool", value: "connectionStatus" },
             { name: "HR", address: "/avatar/parameters/HR", type: "int", outputRange: [0, 255] },
             { name: "Heartrate", address: "/avatar/parameters/Heartrate", type: "float", value: "heartRate / 127 - 1" },
             { name: "Heartrate2", address: "/avatar/parameters/Heartrate2", type: "float", outputRange: [0.0, 1.0] },
@@ -45,12 +350,12 @@ const loadOSCConfig = () => {
 
     // Create default config if missing
     if (!fs.existsSync(configPath)) {
-        console.log('[INFO] No osc_parameters.json found, creating default config...')
+        log.info('No %s found, creating default config...', path.basename(configPath))
         try {
             fs.writeFileSync(configPath, JSON.stringify(defaultConfig, null, 2))
-            console.log('[INFO] Created default osc_parameters.json')
+            log.info('Created default %s', path.basename(configPath))
         } catch (err) {
-            return { valid: false, error: `Failed to create default config: ${err.message}` }
+            return invalidConfig([{ path: '', message: `Failed to create default config: ${err.message}` }])
         }
     }
 
@@ -59,7 +364,7 @@ const loadOSCConfig = () => {
     try {
         configData = fs.readFileSync(configPath, 'utf-8')
     } catch (err) {
-        return { valid: false, error: `Failed to read config file: ${err.message}` }
+        return invalidConfig([{ path: '', message: `Failed to read config file: ${err.message}` }])
     }
 
     // Parse JSON
@@ -67,112 +372,157 @@ const loadOSCConfig = () => {
     try {
         config = JSON.parse(configData)
     } catch (err) {
-        return { valid: false, error: `Invalid JSON in config file: ${err.message}` }
+        return invalidConfig([{ path: '', message: `Invalid JSON in config file: ${err.message}` }])
     }
 
-    // Validate structure
-    if (!config.parameters || !Array.isArray(config.parameters)) {
-        return { valid: false, error: 'Config must have a "parameters" array' }
+    if (typeof config !== 'object' || config === null || Array.isArray(config)) {
+        return validateOSCConfig(config)
     }
 
-    if (config.parameters.length === 0) {
-        return { valid: false, error: 'Config must have at least one parameter defined' }
+    const migration = migrateConfig(config)
+    if (migration.error || migration.from === undefined) {
+        return validateOSCConfig(config)
     }
 
-    // Validate each parameter
-    const validTypes = ['int', 'float', 'bool']
-    const addresses = new Set()
-
-    for (let i = 0; i < config.parameters.length; i++) {
-        const param = config.parameters[i]
-        const prefix = `Parameter ${i + 1} (${param.name || 'unnamed'})`
+    // Saved as migrated, before validation fills in defaults
+    const migratedData = JSON.stringify(migration.config, null, 2)
+    const result = validateOSCConfig(migration.config)
+    result.warnings.unshift(...migration.changes)
+    if (!result.valid) return result
 
-        if (!param.name || typeof param.name !== 'string') {
-            return { valid: false, error: `${prefix}: Missing or invalid "name" field` }
+    if (migrateFile) {
+        const backupPath = `${configPath}.v${migration.from}.bak`
+        try {
+            fs.copyFileSync(configPath, backupPath)
+            fs.writeFileSync(configPath, migratedData)
+            log.info('Updated %s from config version %d to %d (old file kept as %s)', path.basename(configPath), migration.from, CONFIG_VERSION, path.basename(backupPath))
+        } catch (err) {
+            log.warn('Could not save the updated %s: %s', path.basename(configPath), err.message)
         }
+    }
 
-        if (!param.address || typeof param.address !== 'string') {
-            return { valid: false, error: `${prefix}: Missing or invalid "address" field` }
-        }
+    return { ...result, migratedFrom: migration.from }
+}
 
-        if (!param.address.startsWith('/avatar/parameters/')) {
-            return { valid: false, error: `${prefix}: Address must start with "/avatar/parameters/"` }
-        }
+/**
+ * Validate an OSC parameters configuration object (migrates older versions and fills in defaults like "targets")
+ *
+ * Collects every problem instead of stopping at the first: schema errors for all
+ * sections, then the checks the schema can't express - on every section and
+ * parameter, leaving out the fields the schema rejected.
+ * @param {any} config
+ * @returns {{valid: boolean, config?: any, error?: string, errors: object[], warnings: object[]}}
+ */
+const validateOSCConfig = (config) => {
+    if (typeof config !== 'object' || config === null || Array.isArray(config)) {
+        return invalidConfig([{ path: '', message: 'Config must be a JSON object' }])
+    }
 
-        if (addresses.has(param.address)) {
-            return { valid: false, error: `${prefix}: Duplicate address "${param.address}"` }
-        }
-        addresses.add(param.address)
+    const migration = migrateConfig(config)
+    if (migration.error) {
+        return invalidConfig([{ path: 'configVersion', message: migration.error }])
+    }
+    config = migration.config
+    // What the migration added, so a new OSC address doesn't appear unannounced
+    const migrationChanges = migration.changes || []
+
+    const errors = validateSchema(config)
+    const schemaErrors = [...errors]
+    const addError = (path, message) => {
+        if (message) errors.push({ path, message })
+    }
+    const validateSection = (key, validate) => addError(key, checkSection(config, key, schemaErrors, validate))
 
-        if (!param.type || !validTypes.includes(param.type)) {
-            return { valid: false, error: `${prefix}: Type must be one of: ${validTypes.join(', ')}` }
-        }
+    // Validate OSC sending options (optional)
+    validateSection('sending', validateSending)
 
-        // Validate value mode (either 'value' OR 'outputRange', not both)
-        const hasValue = param.value !== undefined
-        const hasOutputRange = param.outputRange !== undefined
-        const hasInputRange = param.inputRange !== undefined
+    // Validate logging settings (optional)
+    validateSection('logging', validateLogging)
 
-        if (!hasValue && !hasOutputRange) {
-            return { valid: false, error: `${prefix}: Must have either "value" or "outputRange" field` }
-        }
+    // Validate rolling statistics settings (optional)
+    validateSection('statistics', validateStatistics)
 
-        if (hasValue && hasOutputRange) {
-            return { valid: false, error: `${prefix}: Cannot use both "value" and "outputRange" - choose one` }
-        }
+    // Targets default to VRChat on localhost:9000 - names must be unique
+    if (config.targets === undefined) {
+        config.targets = DEFAULT_TARGETS
+    }
 
-        if (hasInputRange && !hasOutputRange) {
-            return { valid: false, error: `${prefix}: "inputRange" requires "outputRange"` }
+    const targets = Array.isArray(config.targets) ? config.targets : []
+    const targetNames = new Set()
+    targets.forEach((target, i) => {
+        if (typeof target?.name !== 'string') return
+        if (targetNames.has(target.name)) {
+            addError(joinPath('targets', i), `Target ${i + 1} (${target.name}): Duplicate target name "${target.name}"`)
         }
+        targetNames.add(target.name)
+    })
 
-        // Validate value expression (advanced mode)
-        if (hasValue) {
-            if (typeof param.value !== 'string') {
-                return { valid: false, error: `${prefix}: "value" must be a string` }
-            }
+    // Validate heart rate source (optional - defaults to the Pulsoid widget)
+    validateSection('source', validateSource)
 
-            if (param.value !== 'toggle' && param.value !== 'heartRate' && param.value !== 'connectionStatus') {
-                // Check if it's a safe math expression
-                const safePattern = /^heartRate\s*[\+\-\*\/\s\d\.\(\)]+$/
-                if (!safePattern.test(param.value)) {
-                    return { valid: false, error: `${prefix}: Invalid value expression "${param.value}". Use "heartRate", "toggle", "connectionStatus", or math like "heartRate / 127 - 1"` }
-                }
-            }
+    // Validate session recording (optional)
+    validateSection('recording', validateRecording)
 
-            // connectionStatus can only be used with bool type
-            if (param.value === 'connectionStatus' && param.type !== 'bool') {
-                return { valid: false, error: `${prefix}: "connectionStatus" can only be used with type "bool"` }
-            }
-        }
+    // Validate OSCQuery discovery (optional)
+    validateSection('oscquery', oscquery => validateOSCQuery(oscquery, targetNames))
 
-        // Validate outputRange (simple mode)
-        if (hasOutputRange) {
-            if (!Array.isArray(param.outputRange) || param.outputRange.length !== 2) {
-                return { valid: false, error: `${prefix}: "outputRange" must be an array with 2 numbers [min, max]` }
-            }
-            if (typeof param.outputRange[0] !== 'number' || typeof param.outputRange[1] !== 'number') {
-                return { valid: false, error: `${prefix}: "outputRange" values must be numbers` }
-            }
-            if (param.outputRange[0] >= param.outputRange[1]) {
-                return { valid: false, error: `${prefix}: "outputRange" min must be less than max` }
-            }
-        }
+    // Validate status dashboard (optional)
+    validateSection('dashboard', validateDashboard)
 
-        // Validate inputRange (optional with outputRange)
-        if (hasInputRange) {
-            if (!Array.isArray(param.inputRange) || param.inputRange.length !== 2) {
-                return { valid: false, error: `${prefix}: "inputRange" must be an array with 2 numbers [min, max]` }
-            }
-            if (typeof param.inputRange[0] !== 'number' || typeof param.inputRange[1] !== 'number') {
-                return { valid: false, error: `${prefix}: "inputRange" values must be numbers` }
-            }
-            if (param.inputRange[0] >= param.inputRange[1]) {
-                return { valid: false, error: `${prefix}: "inputRange" min must be less than max` }
-            }
+    // Validate chatbox output (optional)
+    validateSection('chatbox', chatbox => validateChatbox(chatbox, targetNames))
+
+    // Validate stream overlays (optional)
+    validateSection('overlay', validateOverlay)
+
+    // Validate metrics endpoint (optional)
+    validateSection('metrics', validateMetrics)
+
+    // Validate the default parameters
+    if (Array.isArray(config.parameters)) {
+        errors.push(...validateParameters(config.parameters, targetNames, 'parameters', 'Parameter', schemaErrors))
+    }
+
+    // Validate per-avatar parameter profiles (optional)
+    validateSection('avatarProfiles', validateAvatarProfiles)
+
+    const profiles = config.avatarProfiles?.profiles
+    if (typeof profiles === 'object' && profiles !== null) {
+        for (const [avatarId, profile] of Object.entries(profiles)) {
+            if (avatarId.startsWith('_') || !Array.isArray(profile?.parameters)) continue
+            const path = joinPath(joinPath('avatarProfiles.profiles', avatarId), 'parameters')
+            errors.push(...validateParameters(profile.parameters, targetNames, path, `Profile "${profile.name || avatarId}" parameter`, schemaErrors))
         }
     }
 
-    return { valid: true, config }
+    // Validate several widgets and their own parameter lists (optional)
+    validateSection('widgets', validateWidgets)
+
+    const widgets = Array.isArray(config.widgets) ? config.widgets : []
+    widgets.forEach((widget, i) => {
+        if (!Array.isArray(widget?.parameters)) return
+        const path = joinPath(joinPath('widgets', i), 'parameters')
+        errors.push(...validateParameters(widget.parameters, targetNames, path, `Widget "${widget.label}" parameter`, schemaErrors))
+    })
+
+    // Validate parameters combining the widgets' heart rates (optional)
+    if (config.combined !== undefined && config.widgets === undefined) {
+        addError('combined', 'Config "combined" needs a "widgets" list to combine')
+    } else if (Array.isArray(config.combined)) {
+        errors.push(...validateParameters(config.combined, targetNames, 'combined', 'Combined parameter', schemaErrors, widgets.map(widget => widget.label)))
+    }
+
+    // Each widget sends to its own addresses - only worth checking once the lists themselves are fine
+    if (errors.length === 0 && config.widgets !== undefined) {
+        errors.push(...findSharedAddresses(config))
+    }
+
+    const warnings = [...migrationChanges, ...findConfigWarnings(config)]
+    if (errors.length > 0) {
+        return invalidConfig(errors, warnings)
+    }
+
+    return { valid: true, config, errors, warnings }
 }
 
 /**
@@ -198,10 +548,11 @@ const mapRange = (value, inputRange, outputRange) => {
  * Evaluate parameter value
  * @param {object} param - Parameter config
  * @param {number} heartRate
- * @param {object} state
+ * @param {{toggle: boolean, connectionStatus?: boolean, avgHeartRate?: number, restingHeartRate?: number, sessionMin?: number, sessionMax?: number, trend?: number, trendSlope?: number, zoneBoundaries?: number[], dataAge?: number}} state
+ * @param {import('./logger').Logger} [log] - Where evaluation failures go. Default: the shared logger
  * @returns {any}
  */
-const evaluateParameterValue = (param, heartRate, state) => {
+const evaluateParameterValue = (param, heartRate, state, log = logger) => {
     // Simple range mode
     if (param.outputRange) {
         const inputRange = param.inputRange || [0, 255]
@@ -219,394 +570,1141 @@ const evaluateParameterValue = (param, heartRate, state) => {
         return state.connectionStatus
     }
 
-    if (expression === 'heartRate') {
-        return heartRate
-    }
+    // Until the statistics have readings, they fall back to the current heart rate (or steady for the trend)
+    const warmUp = (value, fallback) => Number.isFinite(value) ? value : fallback
 
-    // Evaluate math expression safely
     try {
-        // Replace heartRate with actual value and evaluate
-        const sanitized = expression.replace(/heartRate/g, heartRate.toString())
-        // Only allow numbers, operators, parentheses, dots, and whitespace
-        if (!/^[\d\+\-\*\/\.\(\)\s]+$/.test(sanitized)) {
-            throw new Error('Invalid characters in expression')
-        }
-        return eval(sanitized)
+        return evaluateExpression(expression, {
+            heartRate,
+            avgHeartRate: warmUp(state.avgHeartRate, heartRate),
+            restingHeartRate: state.restingHeartRate,
+            sessionMin: warmUp(state.sessionMin, heartRate),
+            sessionMax: warmUp(state.sessionMax, heartRate),
+            trend: warmUp(state.trend, 0),
+            trendSlope: warmUp(state.trendSlope, 0),
+            // Seconds since the reading was measured
+            dataAge: state.dataAge || 0,
+            // Zone of the (filtered) heart rate this parameter sees
+            zone: getZone(heartRate, state.zoneBoundaries || getZoneBoundaries())
+        })
     } catch (err) {
-        console.log('[WARNING] Failed to evaluate expression "%s": %s', expression, err.message)
+        log.warn('Failed to evaluate expression "%s": %s', expression, err.message)
         return heartRate
     }
 }
 
 /**
- * Get WebSocket URL from Pulsoid widget RPC
- * @param {string} widgetId 
- * @returns {Promise<{url: string, status: string}>}
+ * Name of the target that stands for VRChat - "vrchat" if there is one, otherwise the first target
+ * @param {{name: string}[]} targets
+ * @returns {string}
  */
-const getWebSocketUrl = async (widgetId) => {
-    let response
-    try {
-        response = await fetch('https://pulsoid.net/v1/api/public/rpc', {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'x-rpc-method': 'getWidget'
-            },
-            body: JSON.stringify({
-                jsonrpc: '2.0',
-                method: 'getWidget',
-                params: { widgetId },
-                id: '1'
-            })
+const getDefaultTargetName = (targets) => {
+    return targets.some(target => target.name === 'vrchat') ? 'vrchat' : targets[0].name
+}
+
+/**
+ * Point the VRChat target somewhere else (--osc-host / --osc-port)
+ * @param {object} config - Validated config, changed in place
+ * @param {{host?: string, port?: number}} [osc]
+ * @returns {object} The config
+ */
+const overrideDefaultTarget = (config, osc) => {
+    if (!osc || (!osc.host && !osc.port)) return config
+
+    const name = getDefaultTargetName(config.targets)
+    config.targets = config.targets.map(target => target.name !== name ? target : {
+        ...target,
+        host: osc.host || target.host,
+        port: osc.port || target.port
+    })
+    return config
+}
+
+/**
+ * Convert an evaluated value to the parameter's OSC type
+ * @param {object} param
+ * @param {any} value
+ * @returns {{type: string, value: number|boolean}}
+ */
+const toOSCArgument = (param, value) => {
+    if (param.type === 'int') return { type: 'i', value: Math.round(value) }
+    if (param.type === 'float') return { type: 'f', value: Number(value) }
+    return { type: 'b', value: Boolean(value) }
+}
+
+/**
+ * OSC messages for a parameter's value - one per address for "decompose" parameters
+ * @param {object} param
+ * @param {any} value
+ * @returns {{address: string, args: {type: string, value: number|boolean}}[]}
+ */
+const toOSCMessages = (param, value) => {
+    if (!param.decompose) return [{ address: param.address, args: toOSCArgument(param, value) }]
+
+    const parts = decomposeValue(param.decompose, value)
+    return param.decompose.addresses.map((address, i) => ({ address, args: toOSCArgument(param, parts[i]) }))
+}
+
+/**
+ * Create one persistent OSC client per target
+ * @param {{name: string, host: string, port: number}[]} targets
+ * @param {typeof Client} [OSCClient] - Client class (node-osc by default)
+ * @returns {Map<string, Client>}
+ */
+const createOSCClients = (targets, OSCClient = Client) => {
+    const clients = new Map()
+    targets.forEach(target => clients.set(target.name, new OSCClient(target.host, target.port)))
+    return clients
+}
+
+/**
+ * Error from PulsoidOscBridge.start() with a code the caller can react to:
+ * CONFIG_INVALID, SOURCE_INVALID, WIDGET_ID_MISSING, WIDGET_ID_INVALID or SOURCE_FAILED
+ * @param {string} code
+ * @param {string} message
+ * @param {object} [details] - Extra fields, like "errors" (every config problem) for CONFIG_INVALID
+ * @returns {Error & {code: string}}
+ */
+const bridgeError = (code, message, details = {}) => Object.assign(new Error(message), { code, ...details })
+
+/**
+ * One run of the bridge, from start() to stop() - validates everything up front and throws a bridgeError
+ * @param {object} options - PulsoidOscBridge options
+ * @param {(event: string, ...args: any[]) => void} emit
+ * @returns {{start: () => Promise<void>, stop: () => Promise<void>, getStatus: () => object}}
+ */
+const createSession = (options, emit) => {
+    const {
+        widgetId,
+        OSCClient = Client,
+        WebSocket,
+        clock = systemClock,
+        log,
+        multicastDns
+    } = options
+    const configPath = options.configPath || CONFIG_PATH
+    const configName = path.basename(configPath)
+    const watchConfig = options.config === undefined && options.watchConfig !== false
+    const lastSentValues = new Map()
+    let currentAvatarId = null
+    let stopped = false
+
+    // Load and validate OSC parameter configuration - a config object passed in is copied, not watched
+    const configResult = options.config === undefined
+        ? loadOSCConfig(configPath, { log })
+        : validateOSCConfig(JSON.parse(JSON.stringify(options.config)))
+    if (!configResult.valid) {
+        throw bridgeError('CONFIG_INVALID', configResult.error, { errors: configResult.errors })
+    }
+    let oscConfig = overrideDefaultTarget(configResult.config, options.osc)
+    if (log.configure) log.configure(oscConfig.logging, path.dirname(configPath))
+    configResult.warnings.forEach(warning => log.warn('%s', formatConfigProblem(warning)))
+    log.info('Loaded %d OSC parameter(s) from config', oscConfig.parameters.length)
+
+    // Parameters for the current avatar - its profile if it has one, otherwise the default "parameters"
+    const getParameters = () => {
+        const profile = findAvatarProfile(oscConfig.avatarProfiles, currentAvatarId)
+        return profile ? profile.parameters : oscConfig.parameters
+    }
+
+    // Data older than this counts as stale - read on use so config reloads apply
+    const getStaleTimeout = () => oscConfig.staleTimeout !== undefined ? oscConfig.staleTimeout * 1000 : STALE_DATA_MS
+    const getMaxDataAge = () => oscConfig.maxDataAge !== undefined ? oscConfig.maxDataAge * 1000 : MAX_DATA_AGE_MS
+    const getLatencyWarning = () => oscConfig.latencyWarning !== undefined ? oscConfig.latencyWarning * 1000 : LATENCY_WARNING_MS
+
+    // Several widgets (changes need a restart) - each gets its own source, the others are checked by the config validation
+    const widgetsConfig = oscConfig.widgets
+    const widgetSources = new Map()
+    if (widgetsConfig) {
+        log.info('Bridging %d widget(s): %s', widgetsConfig.length, widgetsConfig.map(widget => widget.label).join(', '))
+        widgetsConfig.forEach(widget => {
+            const sourceConfig = resolveSource(options.source, widget.source)
+            const sourceError = validateSource(sourceConfig)
+            if (sourceError) {
+                throw bridgeError('SOURCE_INVALID', `Widget "${widget.label}": ${sourceError}`)
+            }
+            widgetSources.set(widget.label, sourceConfig)
         })
-    } catch (err) {
-        throw new Error(`NETWORK_ERROR: Cannot reach Pulsoid servers - ${err.message}`)
     }
 
-    if (!response.ok) {
-        throw new Error(`HTTP_ERROR: Pulsoid returned status ${response.status}`)
+    // Pick the heart rate source
+    const sourceConfig = widgetsConfig ? null : resolveSource(options.source, oscConfig.source)
+    const sourceError = sourceConfig && validateSource(sourceConfig)
+    if (sourceError) {
+        throw bridgeError('SOURCE_INVALID', sourceError)
     }
 
-    let data
-    try {
-        data = await response.json()
-    } catch (err) {
-        throw new Error('PARSE_ERROR: Invalid response from Pulsoid')
+    if (sourceConfig?.type === 'pulsoid') {
+        if (stringIsnullOrEmpty(widgetId)) {
+            throw bridgeError('WIDGET_ID_MISSING', 'No Pulsoid widget ID given')
+        }
+
+        log.info('Widget ID: %s', widgetId)
+
+        // Validate widget ID format
+        if (!isValidWidgetId(widgetId)) {
+            throw bridgeError('WIDGET_ID_INVALID', `Invalid widget ID format: ${widgetId}`)
+        }
+    }
+
+    // Session recording (changes need a restart)
+    const recorder = createRecorder(oscConfig.recording, path.dirname(configPath), log)
+
+    // Heart rate streams - one per widget (or just one without "widgets"), filled in below
+    let streams = []
+    let primaryStream = null
+
+    // Every parameter sent, across all streams
+    const getAllParameters = () => streams.flatMap(stream => stream.getParameters())
+
+    // Current state for the dashboard and getStatus() - the first widget's at the top level
+    const getStatus = () => ({
+        serverTime: clock.now(),
+        ...primaryStream.getStatus(),
+        ...(widgetsConfig ? { widgets: streams.filter(stream => stream.label).map(stream => ({ label: stream.label, ...stream.getStatus() })) } : {}),
+        parameters: getAllParameters().flatMap(param => getParameterAddresses(param).map(address => ({
+            name: param.name,
+            address,
+            type: param.type,
+            value: lastSentValues.get(address)
+        })))
+    })
+
+    // Local status dashboard (changes need a restart)
+    const dashboard = createDashboard(oscConfig.dashboard, getStatus, log)
+
+    // Prometheus /metrics endpoint (changes need a restart)
+    const metrics = createMetrics(oscConfig.metrics, getStatus, log)
+
+    // Text file and browser source for streaming - shows the first widget
+    const overlay = createOverlay({ getConfig: () => oscConfig.overlay, baseDir: path.dirname(configPath), log })
+
+    // VRChat's OSC endpoint found over OSCQuery - overrides that target's host/port
+    let discoveredEndpoint = null
+
+    // Apply the discovered VRChat endpoint to the configured targets
+    const resolveTargets = (targets) => targets.map(target => {
+        if (!discoveredEndpoint || target.name !== discoveredEndpoint.target) return target
+        return { ...target, host: discoveredEndpoint.host, port: discoveredEndpoint.port }
+    })
+
+    const logTargets = () => {
+        resolveTargets(oscConfig.targets).forEach(target => {
+            log.status('Sending OSC to %s at %s:%d', target.name, target.host, target.port)
+        })
     }
 
-    if (data.error) {
-        if (data.error.message?.includes('not found') || data.error.code === -32600) {
-            throw new Error('WIDGET_NOT_FOUND: Widget ID does not exist or was deleted')
+    // Create a single persistent OSC client per target to avoid socket exhaustion (ENOBUFS) - shared by every widget
+    let oscClients = createOSCClients(resolveTargets(oscConfig.targets), OSCClient)
+
+    // OSC sends fail while VRChat isn't running or the network is down - warn once until a send works again
+    let sendFailing = false
+    const reportSendError = (err) => {
+        metrics.oscSendError()
+        if (!sendFailing) {
+            log.warn('OSC send failed: %s', err.message)
+            sendFailing = true
+        } else {
+            log.debug('OSC send failed: %s', err.message)
         }
-        throw new Error(`RPC_ERROR: ${data.error.message || 'Unknown RPC error'}`)
+        emit('error', err)
     }
 
-    if (!data.result) {
-        throw new Error('WIDGET_NOT_FOUND: Widget ID does not exist')
+    // Every OSC send ends up here, thrown or called back - VRChat might not be running, so report it and carry on
+    const handleSendResult = (err) => {
+        if (err) reportSendError(err)
+        else sendFailing = false
     }
 
-    if (!data.result.ramielUrl) {
-        throw new Error('WIDGET_INACTIVE: Widget exists but is not currently streaming (no active heart rate source)')
+    const sendToTarget = (name, packet) => {
+        try {
+            oscClients.get(name).send(packet, handleSendResult)
+        } catch (err) {
+            handleSendResult(err)
+        }
     }
 
-    return {
-        url: data.result.ramielUrl,
-        status: data.result.status || 'unknown'
+    // Send a message to every target the parameter (or chatbox) is routed to (all targets by default)
+    const sendOSC = (output, message) => {
+        const targetNames = output.targets || oscConfig.targets.map(target => target.name)
+        targetNames.forEach(name => sendToTarget(name, message))
+        log.debug('OSC %s %j -> %s', message.address, message.args, targetNames.join(', '))
+        metrics.oscSent(output === oscConfig.chatbox ? 'chatbox' : output.name, message.address)
+        emit('oscSent', { address: message.address, args: message.args, targets: targetNames })
+
+        // Remember parameter values for the dashboard and send-on-change
+        if (output !== oscConfig.chatbox) lastSentValues.set(message.address, message.args.value)
     }
-}
 
-/**
- * @param {string} widgetId
- */
-const RunWidget = async (widgetId) => {
-    let hbToggle = false
-    let lastDataTime = null
-    let noDataWarningShown = false
-    let noDataWarningCount = 0
-    let ws = null
-    let heartbeatInterval = null
-    let dataCheckInterval = null
-    let reconnectAttempts = 0
-    let wsUrl = null
-
-    console.log('========================================')
-    console.log('  Pulsoid Widget to VRChat OSC')
-    console.log('========================================')
-    console.log('[INFO] Widget ID: %s', widgetId)
-
-    // Load and validate OSC parameter configuration
-    const configResult = loadOSCConfig()
-    if (!configResult.valid) {
-        console.log('[ERROR] Failed to load OSC configuration!')
-        console.log('[ERROR] %s', configResult.error)
-        console.log('[INFO] Fix osc_parameters.json and restart')
-        process.exit(1)
+    // Send parameter messages as one OSC bundle per target
+    const sendOSCBundle = (items) => {
+        const byTarget = new Map()
+        items.forEach(({ param, message }) => {
+            const targetNames = param.targets || oscConfig.targets.map(target => target.name)
+            targetNames.forEach(name => {
+                if (!byTarget.has(name)) byTarget.set(name, [])
+                byTarget.get(name).push(message)
+            })
+        })
+
+        byTarget.forEach((messages, name) => {
+            log.debug('OSC bundle of %d message(s) -> %s', messages.length, name)
+            const bundle = new Bundle(...messages.map(message => [message.address, message.args]))
+            sendToTarget(name, bundle)
+        })
+
+        items.forEach(({ param, message }) => {
+            metrics.oscSent(param.name, message.address)
+            emit('oscSent', { address: message.address, args: message.args, targets: param.targets || oscConfig.targets.map(target => target.name) })
+            lastSentValues.set(message.address, message.args.value)
+        })
     }
-    const oscConfig = configResult.config
-    console.log('[INFO] Loaded %d OSC parameter(s) from config', oscConfig.parameters.length)
 
-    // Create a single persistent OSC client to avoid socket exhaustion (ENOBUFS)
-    const oscClient = new Client('localhost', 9000)
+    // Widgets and their sources can't change while running - parameters and address prefixes can
+    const getWidgetSetup = (config) => JSON.stringify((config.widgets || []).map(({ label, widgetId, source }) => ({ label, widgetId, source })))
+
+    // Reload config when the file changes - keeps the Pulsoid connection open
+    const reloadConfig = () => {
+        if (!fs.existsSync(configPath)) {
+            log.warn('%s was removed, keeping current config', configName)
+            return
+        }
+
+        const result = loadOSCConfig(configPath, { log })
+        if (!result.valid) {
+            log.error('Config changed but is invalid, keeping current config')
+            result.errors.forEach(error => log.error('%s', formatConfigProblem(error)))
+            emit('error', bridgeError('CONFIG_INVALID', result.error, { errors: result.errors }))
+            return
+        }
+        result.warnings.forEach(warning => log.warn('%s', formatConfigProblem(warning)))
+
+        const newConfig = overrideDefaultTarget(result.config, options.osc)
+        const targetsChanged = JSON.stringify(newConfig.targets) !== JSON.stringify(oscConfig.targets)
 
-    // Validate widget ID format
-    if (!isValidWidgetId(widgetId)) {
-        console.log('[ERROR] Invalid widget ID format!')
-        console.log('[INFO] Widget ID should be a UUID like: a1b2c3d4-e5f6-7890-abcd-ef1234567890')
-        console.log('[INFO] Get your widget ID from: https://pulsoid.net/ui/widgets')
-        process.exit(1)
+        if (JSON.stringify(newConfig.source) !== JSON.stringify(oscConfig.source)) {
+            log.warn('Heart rate source changes need a restart')
+        }
+
+        if (getWidgetSetup(newConfig) !== getWidgetSetup(oscConfig)) {
+            log.warn('Widget changes need a restart - keeping the current widgets')
+            newConfig.widgets = oscConfig.widgets
+            newConfig.combined = oscConfig.combined
+        }
+
+        oscConfig = newConfig
+        clearExpressionCache()
+        if (log.configure) log.configure(oscConfig.logging, path.dirname(configPath))
+        log.info('Reloaded %d OSC parameter(s) from config', oscConfig.parameters.length)
+
+        // Only recreate OSC clients when the targets actually changed
+        if (targetsChanged) {
+            oscClients.forEach(client => client.close())
+            oscClients = createOSCClients(resolveTargets(oscConfig.targets), OSCClient)
+            logTargets()
+            streams.forEach(stream => stream.forceFullRefresh())
+        }
     }
 
-    // Fetch WebSocket URL with detailed error handling
-    const fetchWebSocketUrl = async () => {
-        console.log('[STATUS] Fetching WebSocket URL from Pulsoid...')
-        try {
-            const result = await getWebSocketUrl(widgetId)
-            wsUrl = result.url
-            console.log('[STATUS] Got WebSocket URL!')
-            return true
-        } catch (err) {
-            const errorType = err.message.split(':')[0]
-
-            switch (errorType) {
-                case 'NETWORK_ERROR':
-                    console.log('[ERROR] Cannot connect to Pulsoid servers')
-                    console.log('[INFO] Check your internet connection')
-                    break
-                case 'WIDGET_NOT_FOUND':
-                    console.log('[ERROR] Widget not found!')
-                    console.log('[INFO] Your widget ID does not exist or was deleted')
-                    console.log('[INFO] Get your correct widget ID from: https://pulsoid.net/ui/widgets')
-                    break
-                case 'WIDGET_INACTIVE':
-                    console.log('[WARNING] Widget exists but is not active!')
-                    console.log('[INFO] Possible reasons:')
-                    console.log('[INFO]   - Heart rate monitor is not connected to Pulsoid')
-                    console.log('[INFO]   - Pulsoid app is not running on your phone/watch')
-                    console.log('[INFO]   - Widget was created but never activated')
-                    console.log('[INFO] Start your heart rate monitor and Pulsoid app first!')
-                    break
-                default:
-                    console.log('[ERROR] %s', err.message)
+    // VRChat chatbox text, rate limited and only sent when it changes - shows the first widget
+    const chatbox = createChatbox({
+        getConfig: () => oscConfig.chatbox,
+        send: (text, notify) => {
+            sendOSC(oscConfig.chatbox, {
+                address: '/chatbox/input',
+                args: [
+                    { type: 's', value: text },
+                    { type: 'b', value: true }, // Send immediately instead of opening the keyboard
+                    { type: 'b', value: notify }
+                ]
+            })
+        },
+        clock
+    })
+
+    /**
+     * One heart rate stream and the parameters it drives - the single source, a widget, or the "combined" parameters
+     * @param {object} spec
+     * @param {string|null} [spec.label] - Widget label, null without "widgets"
+     * @param {() => object[]} spec.getParameters - Parameters this stream sends, read on use so reloads apply
+     * @param {object|null} [spec.sourceConfig] - null for the "combined" stream, which the widget streams feed
+     * @param {string} [spec.widgetId] - Pulsoid widget ID for the pulsoid source
+     * @param {boolean} [spec.primary] - Drives the chatbox and overlay, and logs the OSC targets on connect
+     * @param {(param: object) => number|null} [spec.heartRateFor] - Heart rate a parameter sees, null to skip it (combined parameters)
+     * @param {(param: object) => boolean} [spec.isConnectedFor] - "connectionStatus" value of a parameter (combined parameters)
+     * @param {() => void} [spec.onReading] - After each reading was sent
+     * @param {() => void} [spec.onConnectionChange] - After the source disconnected or went stale
+     */
+    const createStream = ({ label = null, getParameters, sourceConfig = null, widgetId: streamWidgetId, primary = false, heartRateFor, isConnectedFor, onReading = () => { }, onConnectionChange = () => { } }) => {
+        const streamLog = label ? createWidgetLog(log, label) : log
+        const eventLabel = label ? [label] : []
+        const recordLabel = label ? { widget: label } : {}
+        let hbToggle = false
+        const parameterFilters = new Map()
+        const parameterTriggers = new Map()
+        let lastDataTime = null
+        let noDataWarningCount = 0
+        let heartbeatInterval = null
+        let dataCheckInterval = null
+        let sourceConnected = false
+        let reconnectAttempts = 0
+        let currentHeartRate = null
+        let history = []
+        const statistics = createStatistics()
+        let lastFullRefresh = null
+        let staleTimer = null
+        // Measurement times - lastMeasuredAt only from sources that report one, readingTime falls back to arrival
+        let lastMeasuredAt = null
+        let readingTime = null
+        let latency = null
+        let droppedReadings = 0
+        let dropWarningTime = null
+        let latencyWarningShown = false
+
+        const isReceivingData = () => lastDataTime !== null && clock.now() - lastDataTime < getStaleTimeout()
+
+        // Run a reading through the parameter's filter - state is kept per parameter (first) address
+        const filterHeartRate = (param, heartRate, time, resend = false) => {
+            if (!param.filter) return heartRate
+
+            // Start fresh if the filter settings changed on config reload
+            const key = JSON.stringify(param.filter)
+            const address = getParameterAddresses(param)[0]
+            let entry = parameterFilters.get(address)
+            if (!entry || entry.key !== key) {
+                entry = { key, filter: createFilter(param.filter) }
+                parameterFilters.set(address, entry)
             }
-            return false
+
+            // Resending the same reading shouldn't move the filter
+            if (resend && entry.value !== undefined) return entry.value
+            entry.value = entry.filter.apply(heartRate, time)
+            return entry.value
         }
-    }
 
-    // Initial fetch
-    if (!await fetchWebSocketUrl()) {
-        console.log('[STATUS] Will retry in 10 seconds...')
-        const retryInterval = setInterval(async () => {
-            if (await fetchWebSocketUrl()) {
-                clearInterval(retryInterval)
-                connect()
-            } else {
-                console.log('[STATUS] Will retry in 10 seconds...')
+        // Run a value through the parameter's trigger - state is kept per parameter address like filters
+        const updateTrigger = (param, value, time, resend = false) => {
+            const key = JSON.stringify(param.trigger)
+            let entry = parameterTriggers.get(param.address)
+            if (!entry || entry.key !== key) {
+                if (entry) entry.trigger.stop()
+                const trigger = createTrigger(param.trigger, {
+                    // A "pulse" output turning off isn't tied to a reading, so it's sent from here
+                    onPulseEnd: () => sendOSC(param, { address: param.address, args: toOSCArgument(param, false) }),
+                    clock
+                })
+                entry = { key, trigger }
+                parameterTriggers.set(param.address, entry)
             }
-        }, 10000)
-        return
-    }
 
-    // Send connection status parameters to VRChat
-    const sendConnectionHeartbeat = () => {
-        try {
-            // Check if we've received data recently (within last 30 seconds)
-            const isReceivingData = lastDataTime !== null && (Date.now() - lastDataTime < 30000)
+            // Resending the same reading shouldn't count towards "for"
+            if (resend) return entry.trigger.getValue()
+            return entry.trigger.update(value, time)
+        }
+
+        // Forget every trigger's state (and cancel their pulses)
+        const resetTriggers = () => {
+            parameterTriggers.forEach(entry => entry.trigger.stop())
+            parameterTriggers.clear()
+        }
+
+        // Beat-synchronous pulse parameters run on their own timer
+        const pulseScheduler = createPulseScheduler({
+            getParameters: () => getParameters().filter(param => param.value === 'pulse'),
+            send: (param, value) => sendOSC(param, {
+                address: param.address,
+                args: { type: param.type === 'bool' ? 'b' : 'f', value }
+            }),
+            isStale: () => !isReceivingData(),
+            clock
+        })
+
+        // "onStale" / "onDisconnect" resets and fades
+        const fallbackRunner = createFallbackRunner({
+            send: (param, value) => toOSCMessages(param, value).forEach(message => sendOSC(param, message)),
+            getLastValue: (param) => param.decompose
+                ? composeValue(param.decompose, param.decompose.addresses.map(address => lastSentValues.get(address)))
+                : lastSentValues.get(param.address),
+            clock
+        })
+
+        // Send connection status parameters to VRChat
+        const sendConnectionHeartbeat = () => {
+            // Check if we've received data recently (within the stale timeout)
+            const receivingData = isReceivingData()
 
             // Send all connectionStatus parameters
-            oscConfig.parameters.forEach(param => {
+            getParameters().forEach(param => {
                 if (param.value === 'connectionStatus') {
-                    oscClient.send({
+                    sendOSC(param, {
                         address: param.address,
-                        args: { type: 'b', value: isReceivingData }
+                        args: { type: 'b', value: isConnectedFor ? isConnectedFor(param) : receivingData }
                     })
                 }
             })
-        } catch (err) {
-            // VRChat might not be running, that's okay
-        }
-    }
-
-    // Check for data timeout
-    const checkDataStatus = () => {
-        if (lastDataTime === null) {
-            noDataWarningCount++
-            if (noDataWarningCount === 1) {
-                console.log('[WARNING] No heart rate data received yet...')
-                console.log('[INFO] Is your heart rate monitor active and connected to Pulsoid?')
-            } else if (noDataWarningCount === 3) {
-                console.log('[WARNING] Still no heart rate data after 30 seconds')
-                console.log('[INFO] Check that:')
-                console.log('[INFO]   1. Your heart rate monitor is worn and active')
-                console.log('[INFO]   2. Pulsoid app shows your heart rate')
-                console.log('[INFO]   3. The widget is connected to the right data source')
-            } else if (noDataWarningCount % 6 === 0) {
-                console.log('[WARNING] No heart rate data for %d seconds', noDataWarningCount * 10)
+
+            if (!receivingData && primary) {
+                chatbox.clear()
+                overlay.update(null)
             }
-            return
+            dashboard.update()
         }
 
-        const timeSinceLastData = Date.now() - lastDataTime
-        if (timeSinceLastData > 30000) {
-            console.log('[WARNING] Heart rate stopped! No data for %d seconds', Math.round(timeSinceLastData / 1000))
-            console.log('[INFO] Heart rate monitor may have disconnected')
-        }
-    }
+        // Check for data timeout
+        const checkDataStatus = () => {
+            if (lastDataTime === null) {
+                noDataWarningCount++
+                if (noDataWarningCount === 1) {
+                    streamLog.warn('No heart rate data received yet...')
+                    streamLog.hint('warn', 'Is your heart rate monitor active and connected to Pulsoid?')
+                } else if (noDataWarningCount === 3) {
+                    streamLog.warn('Still no heart rate data after 30 seconds')
+                    streamLog.hint('warn', 'Check that:')
+                    streamLog.hint('warn', '  1. Your heart rate monitor is worn and active')
+                    streamLog.hint('warn', '  2. Pulsoid app shows your heart rate')
+                    streamLog.hint('warn', '  3. The widget is connected to the right data source')
+                } else if (noDataWarningCount % 6 === 0) {
+                    streamLog.warn('No heart rate data for %d seconds', noDataWarningCount * 10)
+                }
+                return
+            }
 
-    // Send disconnect status
-    const sendDisconnectStatus = () => {
-        if (heartbeatInterval) clearInterval(heartbeatInterval)
-        if (dataCheckInterval) clearInterval(dataCheckInterval)
-        heartbeatInterval = null
-        dataCheckInterval = null
-        try {
-            oscClient.send({
-                address: '/avatar/parameters/isHRConnected',
-                args: { type: 'b', value: false }
-            })
-            console.log('[STATUS] Sent disconnect status: isHRConnected = false')
-        } catch (err) {
-            // VRChat might not be running
+            const timeSinceLastData = clock.now() - lastDataTime
+            if (timeSinceLastData > getStaleTimeout()) {
+                streamLog.warn('Heart rate stopped! No data for %d seconds', Math.round(timeSinceLastData / 1000))
+                streamLog.hint('warn', 'Heart rate monitor may have disconnected')
+            }
         }
-    }
 
-    // Connect to WebSocket
-    const connect = () => {
-        if (!wsUrl) {
-            console.log('[ERROR] No WebSocket URL available')
-            return
+        // No reading within the stale timeout - apply "onStale" and tell VRChat right away
+        const handleStale = () => {
+            staleTimer = null
+            fallbackRunner.apply(getParameters(), 'onStale')
+            sendConnectionHeartbeat()
+            if (sourceConfig) emit('stale', lastDataTime, ...eventLabel)
+            onConnectionChange()
         }
 
-        console.log('[STATUS] Connecting to Pulsoid WebSocket...')
+        // Send disconnect status - on shutdown, fades jump straight to their end value
+        const sendDisconnectStatus = ({ shutdown = false } = {}) => {
+            if (heartbeatInterval) clock.clearInterval(heartbeatInterval)
+            if (dataCheckInterval) clock.clearInterval(dataCheckInterval)
+            clock.clearTimeout(staleTimer)
+            heartbeatInterval = null
+            dataCheckInterval = null
+            staleTimer = null
+            pulseScheduler.stop()
+            if (primary) {
+                chatbox.clear()
+                overlay.update(null)
+            }
+            recorder.event('disconnectStatus', recordLabel)
+            sourceConnected = false
+            dashboard.update()
 
-        try {
-            ws = new WebSocket(wsUrl)
-        } catch (err) {
-            console.log('[ERROR] Failed to create WebSocket: %s', err.message)
-            scheduleReconnect()
-            return
+            const statusParameters = getParameters().filter(param => param.value === 'connectionStatus')
+            statusParameters.forEach(param => sendOSC(param, {
+                address: param.address,
+                args: { type: 'b', value: false }
+            }))
+            if (statusParameters.length > 0) {
+                streamLog.status('Sent disconnect status: %s = false', statusParameters.map(param => param.name).join(', '))
+            }
+            fallbackRunner.apply(getParameters(), 'onDisconnect', { immediate: shutdown })
+        }
+
+        // Connection status heartbeats every 5 seconds, and data warnings for streams with a source
+        const startHeartbeat = () => {
+            heartbeatInterval = clock.setInterval(sendConnectionHeartbeat, 5000)
+            if (sourceConfig) dataCheckInterval = clock.setInterval(checkDataStatus, 10000)
+            sendConnectionHeartbeat()
         }
 
-        ws.on('open', () => {
-            console.log('[STATUS] Connected to Pulsoid!')
-            console.log('[STATUS] Sending OSC to VRChat at localhost:9000')
-            console.log('[STATUS] Waiting for heart rate data...')
+        // Heart rate source is live - start connection status heartbeats
+        const handleConnect = () => {
+            if (primary) logTargets()
+            streamLog.status('Waiting for heart rate data...')
+            recorder.event('open', recordLabel)
 
+            sourceConnected = true
             reconnectAttempts = 0
             noDataWarningCount = 0
 
-            // Start heartbeat intervals
-            heartbeatInterval = setInterval(sendConnectionHeartbeat, 5000)
-            dataCheckInterval = setInterval(checkDataStatus, 10000)
-            sendConnectionHeartbeat()
-        })
+            // Filters and triggers start fresh after every (re)connect, and the first reading sends everything
+            parameterFilters.clear()
+            resetTriggers()
+            lastFullRefresh = null
 
-        ws.on('message', (data) => {
-            let parsed
-            try {
-                parsed = JSON.parse(data.toString())
-            } catch (error) {
-                console.log('[ERROR] Failed to parse data: %s', data.toString().substring(0, 100))
-                return
+            startHeartbeat()
+            emit('connected', ...eventLabel)
+        }
+
+        // Heart rate source lost its input (WebSocket closed, replay ended...)
+        const handleDisconnect = (code, reason) => {
+            recorder.event('close', { ...recordLabel, code, reason })
+            metrics.closed(label, code)
+            sendDisconnectStatus()
+            emit('disconnected', code, reason, ...eventLabel)
+            onConnectionChange()
+        }
+
+        // Map a heart rate to every parameter of the current avatar and send it - returns the values sent, by address.
+        // A resend repeats the last reading (after an avatar change) without advancing toggles or filters.
+        const sendParameters = (heartRate, { resend = false } = {}) => {
+            const restingHeartRate = oscConfig.restingHeartRate || DEFAULT_RESTING_HEART_RATE
+            const rolling = statistics.get(lastDataTime, oscConfig.statistics)
+            const zoneBoundaries = getZoneBoundaries(oscConfig.statistics)
+            const parameters = getParameters()
+
+            // Seconds since the reading was measured - grows when a reading is resent
+            const dataAge = readingTime === null ? 0 : Math.max(0, clock.now() - readingTime) / 1000
+
+            if (parameters.some(param => param.value === 'pulse')) {
+                pulseScheduler.setHeartRate(heartRate)
             }
 
-            // Handle different response formats
-            const heartRate = parsed?.data?.heart_rate || parsed?.data?.heartRate || parsed?.heartRate
+            const sentValues = {}
+
+            // Build OSC messages from config (exclude connectionStatus - sent via heartbeat - and pulse - sent by its own timer)
+            const outputs = parameters
+                .filter(param => param.value !== 'connectionStatus' && param.value !== 'pulse')
+                .map(param => {
+                    // Combined parameters skip readings their widgets don't have data for
+                    const paramHeartRate = heartRateFor ? heartRateFor(param) : heartRate
+                    if (paramHeartRate === null) return null
+
+                    const state = {
+                        toggle: hbToggle,
+                        restingHeartRate,
+                        zoneBoundaries,
+                        dataAge,
+                        ...rolling
+                    }
+                    const filteredHeartRate = filterHeartRate(param, paramHeartRate, lastDataTime, resend)
+                    const value = param.trigger
+                        ? updateTrigger(param, evaluateParameterValue({ value: param.trigger.when || 'heartRate' }, filteredHeartRate, state, log), lastDataTime, resend)
+                        : evaluateParameterValue(param, filteredHeartRate, state, log)
+
+                    return {
+                        param,
+                        messages: toOSCMessages(param, value),
+                        isToggle: param.value === 'toggle' // Only advanced mode can be toggle
+                    }
+                })
+                .filter(output => output !== null)
+
+            // Every parameter goes out now and then, changed or not, so late-joining receivers catch up
+            const refreshMs = (oscConfig.sending?.refreshInterval || DEFAULT_REFRESH_INTERVAL) * 1000
+            const fullRefresh = resend || lastFullRefresh === null || clock.now() - lastFullRefresh >= refreshMs
+            if (fullRefresh) lastFullRefresh = clock.now()
+
+            // Send all messages - send-on-change parameters skip values that didn't change
+            const bundled = []
+            outputs.forEach(output => {
+                output.messages.forEach(message => {
+                    if (!fullRefresh && isUnchanged(output.param, lastSentValues.get(message.address), message.args.value)) return
+
+                    if (oscConfig.sending?.bundle) {
+                        bundled.push({ param: output.param, message })
+                    } else {
+                        sendOSC(output.param, message)
+                    }
+                    sentValues[message.address] = message.args.value
+                })
 
-            if (!heartRate || heartRate === 0) {
-                // Only log occasionally to avoid spam
-                if (!noDataWarningShown) {
-                    console.log('[INFO] Received message but no heart rate value (monitor may be initializing)')
-                    noDataWarningShown = true
+                // Toggle the state after sending if it's a toggle parameter
+                if (output.isToggle && !resend) {
+                    hbToggle = !hbToggle
                 }
-                return
+            })
+            if (bundled.length > 0) sendOSCBundle(bundled)
+
+            return sentValues
+        }
+
+        // A late or replayed reading would look fresh by its arrival time - judge it by when it was measured
+        const isTooLate = (heartRate, payload, measuredAt) => {
+            const age = clock.now() - measuredAt
+            let code = null
+            let reason = null
+            if (lastMeasuredAt !== null && measuredAt <= lastMeasuredAt) {
+                code = 'outOfOrder'
+                reason = 'that is not newer than the previous one'
+            } else if (age > getMaxDataAge() + CLOCK_SKEW_ALLOWANCE_MS) {
+                code = 'tooOld'
+                reason = `measured ${(age / 1000).toFixed(1)} seconds ago (maxDataAge is ${getMaxDataAge() / 1000})`
+            }
+            if (code === null) return false
+
+            metrics.dropped(label, code)
+            recorder.event('dropped', { ...recordLabel, heartRate, code, reason, payload })
+
+            // Warn at the start of a run of dropped readings and every DROP_WARNING_INTERVAL_MS while it lasts
+            droppedReadings++
+            if (droppedReadings === 1) {
+                streamLog.warn('Dropped a heart rate reading %s', reason)
+                if (code === 'tooOld') streamLog.hint('warn', 'If every reading is dropped, check that the clocks of this PC and your phone are set automatically')
+                dropWarningTime = clock.now()
+            } else if (clock.now() - dropWarningTime >= DROP_WARNING_INTERVAL_MS) {
+                streamLog.warn('Still dropping heart rate readings - %d in a row, the last %s', droppedReadings, reason)
+                dropWarningTime = clock.now()
+            } else {
+                streamLog.debug('Dropped a heart rate reading %s', reason)
+            }
+            return true
+        }
+
+        // Warn once when readings reach VRChat late, and again once they're back on time
+        const checkLatency = () => {
+            if (latency > getLatencyWarning() && !latencyWarningShown) {
+                streamLog.warn('Heart rate reached VRChat %s seconds after it was measured', (latency / 1000).toFixed(1))
+                streamLog.hint('warn', 'Pulsoid, the network or this PC is slow')
+                latencyWarningShown = true
+            } else if (latency <= getLatencyWarning() && latencyWarningShown) {
+                streamLog.info('Heart rate latency back to %s seconds', (latency / 1000).toFixed(1))
+                latencyWarningShown = false
+            }
+        }
+
+        // Map a reading to OSC and send it - measuredAt (epoch milliseconds) is null when the source doesn't know it
+        const handleReading = (heartRate, payload, measuredAt = null) => {
+            if (measuredAt !== null) {
+                if (isTooLate(heartRate, payload, measuredAt)) return
+                if (droppedReadings > 1) streamLog.info('Readings are current again after %d were dropped', droppedReadings)
+                droppedReadings = 0
+                lastMeasuredAt = measuredAt
             }
 
             // Reset data tracking
-            lastDataTime = Date.now()
-            noDataWarningShown = false
+            lastDataTime = clock.now()
+            readingTime = measuredAt === null ? lastDataTime : measuredAt
             noDataWarningCount = 0
 
-            console.log('[HR] %d bpm', heartRate)
+            // Data is back - stop fades and restart the stale countdown
+            fallbackRunner.cancel()
+            clock.clearTimeout(staleTimer)
+            staleTimer = clock.setTimeout(handleStale, getStaleTimeout())
 
-            try {
+            if (sourceConfig) streamLog.heartRate(heartRate)
 
-                // Build OSC messages from config (exclude connectionStatus - sent via heartbeat)
-                const messages = oscConfig.parameters
-                    .filter(param => param.value !== 'connectionStatus') // Don't send connectionStatus on every HR update
-                    .map(param => {
-                        const state = { toggle: hbToggle }
-                        let value = evaluateParameterValue(param, heartRate, state)
-
-                        // Convert type to OSC type code
-                        let oscType
-                        if (param.type === 'int') {
-                            oscType = 'i'
-                            value = Math.round(value)
-                        } else if (param.type === 'float') {
-                            oscType = 'f'
-                            value = parseFloat(value)
-                        } else if (param.type === 'bool') {
-                            oscType = 'b'
-                            value = Boolean(value)
-                        }
-
-                        return {
-                            address: param.address,
-                            args: { type: oscType, value: value },
-                            isToggle: param.value === 'toggle' // Only advanced mode can be toggle
-                        }
-                    })
+            currentHeartRate = heartRate
+            history.push([lastDataTime, heartRate])
+            history = history.filter(point => lastDataTime - point[0] <= HISTORY_WINDOW_MS)
 
-                // Send all messages
-                messages.forEach(msg => {
-                    oscClient.send({ address: msg.address, args: msg.args })
+            // Rolling statistics for expressions - kept across reconnects
+            statistics.add(heartRate, lastDataTime, oscConfig.statistics)
+            const { avgHeartRate } = statistics.get(lastDataTime, oscConfig.statistics)
 
-                    // Toggle the state after sending if it's a toggle parameter
-                    if (msg.isToggle) {
-                        hbToggle = !hbToggle
-                    }
-                })
-            } catch (err) {
-                // VRChat might not be running, that's okay
+            if (primary) {
+                const restingHeartRate = oscConfig.restingHeartRate || DEFAULT_RESTING_HEART_RATE
+                chatbox.update({ heartRate, avgHeartRate, restingHeartRate })
+                overlay.update({ heartRate, avgHeartRate, restingHeartRate })
             }
-        })
 
-        ws.on('close', (code, reason) => {
-            const reasonStr = reason?.toString() || 'unknown'
-            console.log('[STATUS] WebSocket closed (code: %d, reason: %s)', code, reasonStr)
-            sendDisconnectStatus()
-            scheduleReconnect()
-        })
+            // OSC values sent for this reading, by address (for the session recording)
+            const sentValues = sendParameters(heartRate)
+            onReading()
 
-        ws.on('error', (err) => {
-            if (err.message.includes('401') || err.message.includes('403')) {
-                console.log('[ERROR] Authentication failed - widget token may have expired')
-                console.log('[INFO] Fetching new WebSocket URL...')
-                wsUrl = null
-                fetchWebSocketUrl().then(success => {
-                    if (success) scheduleReconnect()
-                })
-            } else if (err.message.includes('ENOTFOUND') || err.message.includes('ENETUNREACH')) {
-                console.log('[ERROR] Network error - cannot reach Pulsoid servers')
+            // From measurement to the OSC send - a source clock slightly ahead of this PC's can't make it negative
+            if (measuredAt !== null) {
+                latency = Math.max(0, clock.now() - measuredAt)
+                checkLatency()
+            }
+
+            if (sourceConfig) {
+                recorder.reading(heartRate, payload, sentValues, label || undefined)
+                dashboard.update()
+                emit('heartRate', heartRate, payload, ...eventLabel)
+            }
+        }
+
+        // Source is about to retry its connection
+        const handleReconnect = (attempt) => {
+            reconnectAttempts = attempt
+            metrics.reconnect(label)
+            dashboard.update()
+        }
+
+        // Each widget has its own source - its own WebSocket URL fetch and reconnect loop
+        const source = sourceConfig && createSource(sourceConfig, streamWidgetId, {
+            onConnect: handleConnect,
+            onReading: handleReading,
+            onDisconnect: handleDisconnect,
+            onReconnect: handleReconnect,
+            onMessage: (result, payload) => {
+                metrics.message(label, result)
+                // Readings are recorded once their OSC values are sent - keep the raw messages that never become one
+                if (result !== 'reading') recorder.event(result, { ...recordLabel, payload })
+            }
+        }, { clock, WebSocket, log: streamLog })
+
+        // The "combined" stream has no source - its heartbeat runs for the whole session
+        const start = async () => {
+            if (source) {
+                await source.start()
             } else {
-                console.log('[ERROR] WebSocket error: %s', err.message)
+                startHeartbeat()
             }
+        }
+
+        const stop = () => {
+            if (source) source.stop()
+            sendDisconnectStatus({ shutdown: true })
+            fallbackRunner.cancel()
+            resetTriggers()
+        }
+
+        // VRChat resets parameters on avatar load - send the current values again
+        const resend = () => {
+            if (isReceivingData()) sendParameters(currentHeartRate, { resend: true })
+            if (heartbeatInterval) sendConnectionHeartbeat()
+        }
+
+        return {
+            label,
+            getParameters,
+            start,
+            stop,
+            handleReading,
+            sendConnectionHeartbeat,
+            resend,
+            stopPulses: () => pulseScheduler.stop(),
+            forceFullRefresh: () => { lastFullRefresh = null },
+            // Heart rate for combined parameters - null while this widget has no current data
+            getHeartRate: () => sourceConnected && isReceivingData() ? currentHeartRate : null,
+            getStatus: () => ({
+                heartRate: currentHeartRate,
+                connected: sourceConnected,
+                receivingData: isReceivingData(),
+                lastDataTime,
+                latency,
+                reconnectAttempts,
+                history
+            })
+        }
+    }
+
+    if (widgetsConfig) {
+        const labels = widgetsConfig.map(widget => widget.label)
+        const widgetStreams = new Map()
+        const heartRatesOf = (param) => getCombinedLabels(param, labels).map(label => widgetStreams.get(label).getHeartRate())
+
+        // "combined" parameters follow the average of the widgets with data (for statistics and the stale timeout)
+        const combinedStream = createStream({
+            getParameters: () => oscConfig.combined || [],
+            heartRateFor: (param) => combineHeartRates(param.combine, heartRatesOf(param)),
+            isConnectedFor: (param) => heartRatesOf(param).every(heartRate => heartRate !== null)
         })
+
+        const updateCombined = () => {
+            const current = labels.map(label => widgetStreams.get(label).getHeartRate()).filter(heartRate => heartRate !== null)
+            if (current.length > 0) combinedStream.handleReading(combineHeartRates('average', current))
+        }
+
+        // A widget's parameters are its own list, or the current avatar's parameters with its address prefix
+        const prefixed = new Map()
+        const getWidgetParameters = (label) => {
+            const widget = oscConfig.widgets.find(item => item.label === label)
+            if (widget.parameters) return widget.parameters
+
+            // Same list and prefix as last time - keep the same objects
+            const parameters = getParameters()
+            const cached = prefixed.get(label)
+            if (cached && cached.parameters === parameters && cached.prefix === widget.addressPrefix) return cached.result
+            const result = prefixParameters(parameters, widget.addressPrefix)
+            prefixed.set(label, { parameters, prefix: widget.addressPrefix, result })
+            return result
+        }
+
+        widgetsConfig.forEach((widget, i) => {
+            widgetStreams.set(widget.label, createStream({
+                label: widget.label,
+                getParameters: () => getWidgetParameters(widget.label),
+                sourceConfig: widgetSources.get(widget.label),
+                widgetId: widget.widgetId,
+                primary: i === 0,
+                onReading: updateCombined,
+                onConnectionChange: () => combinedStream.sendConnectionHeartbeat()
+            }))
+        })
+
+        streams = [...widgetStreams.values(), combinedStream]
+    } else {
+        streams = [createStream({ getParameters, sourceConfig, widgetId, primary: true })]
     }
+    primaryStream = streams[0]
+
+    // Switch to the avatar's parameter profile and resend current values - VRChat resets parameters on avatar load
+    const handleAvatarChange = (avatarId) => {
+        const previous = findAvatarProfile(oscConfig.avatarProfiles, currentAvatarId)
+        const profile = findAvatarProfile(oscConfig.avatarProfiles, avatarId)
+
+        // Leave the old profile's pulse parameters off
+        if (profile !== previous) streams.forEach(stream => stream.stopPulses())
+        currentAvatarId = avatarId
+
+        if (profile) {
+            log.info('Avatar changed: %s - using profile "%s" (%d parameter(s))', avatarId, profile.name || avatarId, profile.parameters.length)
+        } else if (oscConfig.avatarProfiles) {
+            log.info('Avatar changed: %s - using default parameters', avatarId)
+        } else {
+            log.info('Avatar changed: %s', avatarId)
+        }
 
-    // Schedule reconnection with backoff
-    const scheduleReconnect = () => {
-        reconnectAttempts++
-        const delay = Math.min(5000 * reconnectAttempts, 30000) // Max 30 seconds
-        console.log('[STATUS] Reconnecting in %d seconds... (attempt %d)', delay / 1000, reconnectAttempts)
-        setTimeout(() => {
-            if (wsUrl) {
-                connect()
-            } else {
-                fetchWebSocketUrl().then(success => {
-                    if (success) connect()
+        streams.forEach(stream => stream.resend())
+        dashboard.update()
+    }
+
+    // Avatar change listener on VRChat's outgoing port (changes need a restart) - not needed
+    // when our OSCQuery service is advertised, VRChat sends avatar changes to it directly
+    const avatarProfilesConfig = oscConfig.avatarProfiles
+    let avatarListener = null
+
+    // OSCQuery settings (changes need a restart)
+    const oscQueryConfig = oscConfig.oscquery
+    let oscQueryService = null
+    let discoveryInterval = null
+    let discoveryWarningShown = false
+
+    // Warn about configured parameters (sent to VRChat) the current avatar doesn't have
+    const checkAvatarParameters = (available) => {
+        const targetName = discoveredEndpoint.target
+        const sentToVRChat = getAllParameters().filter(param => !param.targets || param.targets.includes(targetName))
+        const missing = sentToVRChat.flatMap(param => getParameterAddresses(param)
+            .filter(address => !available.has(address))
+            .map(address => ({ address, name: param.name })))
+        if (missing.length === 0) {
+            log.info('Current avatar has all %d configured parameter(s)', sentToVRChat.length)
+            return
+        }
+        missing.forEach(({ address, name }) => {
+            log.warn('Current avatar has no parameter %s (%s)', address, name)
+        })
+    }
+
+    // Look for VRChat's OSC endpoint - keeps the configured (or last found) host/port if it isn't found
+    const runDiscovery = async () => {
+        let result = null
+        try {
+            result = await discoverVRChat({ timeout: (oscQueryConfig.discoveryTimeout || 5) * 1000, multicastDns })
+        } catch (err) {
+            // mDNS can fail outright (no network, socket in use) - same as not finding VRChat
+            log.debug('OSCQuery discovery failed: %s', err.message)
+        }
+        if (stopped) return
+        const targetName = oscQueryConfig.target || getDefaultTargetName(oscConfig.targets)
+
+        if (!result) {
+            if (!discoveryWarningShown) {
+                const fallback = resolveTargets(oscConfig.targets).find(target => target.name === targetName)
+                log.warn('VRChat not found via OSCQuery, using %s:%d', fallback.host, fallback.port)
+                discoveryWarningShown = true
+            }
+            return
+        }
+        discoveryWarningShown = false
+
+        const changed = !discoveredEndpoint || discoveredEndpoint.target !== targetName ||
+            discoveredEndpoint.host !== result.host || discoveredEndpoint.port !== result.port
+        discoveredEndpoint = { target: targetName, ...result }
+        if (!changed) return
+
+        oscClients.get(targetName)?.close()
+        oscClients.set(targetName, new OSCClient(result.host, result.port))
+        streams.forEach(stream => stream.forceFullRefresh())
+        log.status('Found VRChat via OSCQuery - sending %s to %s:%d', targetName, result.host, result.port)
+
+        // VRChat doesn't announce the avatar it already has loaded, so ask for it
+        try {
+            const avatarId = await readCurrentAvatar(result.httpHost, result.httpPort)
+            if (avatarId && avatarId !== currentAvatarId) handleAvatarChange(avatarId)
+        } catch (err) {
+            // No avatar loaded yet
+        }
+
+        if (result.parameters) checkAvatarParameters(result.parameters)
+    }
+
+    // Advertise our own OSC receiver so VRChat sends us avatar changes
+    const handleVRChatMessage = ([address, ...args]) => {
+        if (address !== '/avatar/change' || typeof args[0] !== 'string') return
+        handleAvatarChange(args[0])
+        if (discoveredEndpoint) {
+            readAvatarParameters(discoveredEndpoint.httpHost, discoveredEndpoint.httpPort)
+                .then(checkAvatarParameters)
+                .catch(() => { })
+        }
+    }
+
+    const startOSCQuery = async () => {
+        if (oscQueryConfig.advertise !== false) {
+            try {
+                oscQueryService = await advertiseOSCQuery({
+                    name: `PulsoidWidgetOSC-${process.pid}`,
+                    addresses: ['/avatar/change'],
+                    onMessage: handleVRChatMessage,
+                    multicastDns
                 })
+                log.status('Advertising OSCQuery service (OSC port %d)', oscQueryService.oscPort)
+            } catch (err) {
+                log.warn('Could not advertise OSCQuery service: %s', err.message)
             }
-        }, delay)
+        }
+        if (stopped) {
+            if (oscQueryService) oscQueryService.close()
+            return
+        }
+
+        discoveryInterval = clock.setInterval(() => runDiscovery().catch(reportOSCQueryError), OSCQUERY_REDISCOVER_MS)
+        await runDiscovery()
     }
 
-    // Start connection
-    connect()
+    // OSCQuery is optional - keep sending to the configured (or last found) port without it
+    const reportOSCQueryError = (err) => {
+        log.warn('OSCQuery failed: %s', err.message)
+    }
 
-    // Handle process termination
-    process.on('SIGINT', () => {
-        console.log('\n[STATUS] Shutting down...')
-        sendDisconnectStatus()
-        if (ws) ws.close()
-        setTimeout(() => process.exit(0), 100)
-    })
+    // Poll instead of fs.watch - editors that save by replacing the file break fs.watch
+    const onConfigFileChange = (curr, prev) => {
+        if (curr.mtimeMs !== prev.mtimeMs) reloadConfig()
+    }
 
-    process.on('SIGTERM', () => {
-        console.log('[STATUS] Received termination signal, shutting down...')
-        sendDisconnectStatus()
-        if (ws) ws.close()
-        setTimeout(() => process.exit(0), 100)
-    })
+    // Start receiving heart rate data
+    const start = async () => {
+        if (watchConfig) fs.watchFile(configPath, { interval: 1000 }, onConfigFileChange)
+        dashboard.start()
+        overlay.start()
+        metrics.start()
+        const oscQueryEnabled = oscQueryConfig && oscQueryConfig.enabled !== false
+        if (oscQueryEnabled) startOSCQuery().catch(reportOSCQueryError)
+        if (avatarProfilesConfig && avatarProfilesConfig.enabled !== false && !(oscQueryEnabled && oscQueryConfig.advertise !== false)) {
+            avatarListener = listenForAvatarChanges({
+                port: avatarProfilesConfig.listenPort,
+                onAvatarChange: handleAvatarChange,
+                log
+            })
+        }
+
+        try {
+            await Promise.all(streams.map(stream => stream.start()))
+        } catch (err) {
+            throw bridgeError('SOURCE_FAILED', err.message)
+        }
+    }
+
+    // Leave VRChat showing "disconnected" and release every socket and timer
+    const stop = async () => {
+        stopped = true
+        if (watchConfig) fs.unwatchFile(configPath, onConfigFileChange)
+        streams.forEach(stream => stream.stop())
+        chatbox.stop()
+        recorder.event('shutdown')
+        recorder.close()
+        dashboard.stop()
+        overlay.stop()
+        metrics.stop()
+        clock.clearInterval(discoveryInterval)
+        if (oscQueryService) oscQueryService.close()
+        if (avatarListener) avatarListener.close()
+
+        // Give the last OSC messages a moment to go out before closing the sockets (real time, not the clock)
+        await new Promise(resolve => setTimeout(resolve, 100))
+        oscClients.forEach(client => client.close())
+    }
+
+    return { start, stop, getStatus }
+}
+
+/**
+ * Heart rate to VRChat OSC bridge
+ *
+ * Events - with "widgets" in the config, the first four end with the widget's label:
+ * - heartRate (heartRate, payload) - every reading, after its OSC values were sent
+ * - connected () / disconnected (code, reason) - the heart rate source connected or lost its input
+ * - stale (lastDataTime) - no reading for "staleTimeout" seconds (30 by default) while connected
+ * - oscSent ({address, args, targets}) - every OSC message
+ * - error (err) - failed OSC sends and rejected config reloads, only emitted when something listens
+ */
+class PulsoidOscBridge extends EventEmitter {
+    /**
+     * @param {object} [options]
+     * @param {string} [options.widgetId] - Pulsoid widget ID (needed by the pulsoid source, not used with "widgets" in the config)
+     * @param {string} [options.configPath] - Config file, reloaded when it changes. Default: osc_parameters.json
+     * @param {object} [options.config] - Config object to use instead of a file
+     * @param {boolean} [options.watchConfig] - false to not reload the config file when it changes
+     * @param {object} [options.source] - Heart rate source, overrides the config's "source"
+     * @param {{host?: string, port?: number}} [options.osc] - Overrides the VRChat target's host/port
+     * @param {Function} [options.OSCClient] - OSC client class: new OSCClient(host, port), send(message or node-osc Bundle, callback), close(). Default: node-osc
+     * @param {Function} [options.WebSocket] - WebSocket class for the Pulsoid source. Default: ws
+     * @param {import('./clock').Clock} [options.clock] - Time and timers. Default: the system clock
+     * @param {import('./logger').Logger} [options.log] - Where messages go (see createLogger), set up from the config's "logging" section. Default: a new logger for each start()
+     * @param {Function} [options.multicastDns] - mDNS factory for OSCQuery, with the multicast-dns API. Default: multicast-dns
+     */
+    constructor(options = {}) {
+        super()
+        this.options = options
+        this._session = null
+        this._ownLog = null
+    }
+
+    /**
+     * Load the config and start sending heart rate over OSC
+     * @returns {Promise<void>} Rejects with an error with a "code" (see bridgeError) when the bridge can't start
+     */
+    async start() {
+        if (this._session) throw new Error('Bridge is already running')
+
+        // Without a logger passed in, each run gets its own - the shared one belongs to the command line
+        const log = this.options.log || createLogger()
+        try {
+            this._session = createSession({ ...this.options, log }, (event, ...args) => {
+                // Without a listener, "error" would throw and take the host app down over a lost UDP packet
+                if (event === 'error' && this.listenerCount('error') === 0) return
+                this.emit(event, ...args)
+            })
+        } catch (err) {
+            if (!this.options.log) log.close()
+            throw err
+        }
+        if (!this.options.log) this._ownLog = log
+
+        try {
+            await this._session.start()
+        } catch (err) {
+            await this.stop()
+            throw err
+        }
+    }
+
+    /**
+     * Send disconnect status, stop the source and close every socket and timer
+     * @returns {Promise<void>}
+     */
+    async stop() {
+        const session = this._session
+        if (!session) return
+        this._session = null
+        await session.stop()
+        if (this._ownLog) this._ownLog.close()
+        this._ownLog = null
+    }
+
+    /**
+     * Heart rate, connection state and last value per parameter - what the dashboard shows.
+     * With "widgets" the top level is the first widget and "widgets" has each one's state.
+     * @returns {object|null} null when the bridge isn't running
+     */
+    getStatus() {
+        return this._session ? this._session.getStatus() : null
+    }
 }
 
-exports.RunWidget = RunWidget
+exports.CONFIG_PATH = CONFIG_PATH
+exports.DEFAULT_RESTING_HEART_RATE = DEFAULT_RESTING_HEART_RATE
+exports.loadOSCConfig = loadOSCConfig
+exports.validateOSCConfig = validateOSCConfig
+exports.mapRange = mapRange
+exports.evaluateParameterValue = evaluateParameterValue
+exports.toOSCArgument = toOSCArgument
+exports.toOSCMessages = toOSCMessages
+exports.PulsoidOscBridge = PulsoidOscBridge
@@ -0,0 +1,235 @@
+/**
+ * Several Pulsoid widgets in one bridge - the "widgets" config section (for
+ * example both heart rates of a duo) and "combined" parameters computed from
+ * all of them
+ *
+ * Each widget has a label and either an "addressPrefix" (the top-level
+ * parameters are sent again under /avatar/parameters/<prefix>...) or its own
+ * "parameters" list.
+ */
+
+const { isValidWidgetId } = require('./sources/pulsoid')
+const { validateSource } = require('./sources')
+const { getParameterAddresses } = require('./decompose')
+const { joinPath } = require('./schema')
+
+/**
+ * How "combined" parameters merge the widgets' heart rates
+ */
+const COMBINE_MODES = ['max', 'min', 'average', 'difference']
+
+/**
+ * Labels go into log lines, "of" lists and the dashboard - keep them plain
+ */
+const WIDGET_LABEL_PATTERN = /^[A-Za-z0-9_-]+$/
+
+/**
+ * Validate the "widgets" config section (parameter lists are checked with the other parameters)
+ * @param {any} widgets
+ * @returns {string|null} Error message, or null if valid
+ */
+const validateWidgets = (widgets) => {
+    if (!Array.isArray(widgets) || widgets.length === 0) {
+        return 'Config "widgets" must be an array with at least one widget'
+    }
+
+    const labels = new Set()
+    for (let i = 0; i < widgets.length; i++) {
+        const widget = widgets[i]
+        const prefix = `Widget ${i + 1} (${widget?.label || 'unlabeled'})`
+
+        if (typeof widget !== 'object' || widget === null || Array.isArray(widget)) {
+            return `${prefix}: Must be an object like { "label": "alice", "widgetId": "...", "addressPrefix": "Alice_" }`
+        }
+
+        if (typeof widget.label !== 'string' || !WIDGET_LABEL_PATTERN.test(widget.label)) {
+            return `${prefix}: "label" must be letters, digits, "_" or "-"`
+        }
+
+        if (labels.has(widget.label)) {
+            return `${prefix}: Duplicate label "${widget.label}"`
+        }
+        labels.add(widget.label)
+
+        // A "source" stands in for the Pulsoid widget (testing)
+        if (widget.source !== undefined) {
+            const sourceError = validateSource(widget.source)
+            if (sourceError) {
+                return `${prefix}: ${sourceError}`
+            }
+        }
+
+        if (widget.source === undefined || widget.source.type === 'pulsoid') {
+            if (typeof widget.widgetId !== 'string' || !isValidWidgetId(widget.widgetId)) {
+                return `${prefix}: "widgetId" must be a Pulsoid widget ID like a1b2c3d4-e5f6-7890-abcd-ef1234567890`
+            }
+        }
+
+        const hasPrefix = widget.addressPrefix !== undefined
+        const hasParameters = widget.parameters !== undefined
+        if (hasPrefix === hasParameters) {
+            return `${prefix}: Must have either "addressPrefix" or "parameters"`
+        }
+
+        // An empty prefix sends the parameters as they are - for one of the widgets
+        if (hasPrefix && (typeof widget.addressPrefix !== 'string' || widget.addressPrefix.startsWith('/'))) {
+            return `${prefix}: "addressPrefix" must be text like "Alice_" - it goes after /avatar/parameters/`
+        }
+
+        if (hasParameters && (!Array.isArray(widget.parameters) || widget.parameters.length === 0)) {
+            return `${prefix}: "parameters" must be an array with at least one parameter`
+        }
+    }
+
+    return null
+}
+
+/**
+ * Validate a "combined" parameter's "combine" and "of" settings
+ * @param {object} param
+ * @param {string[]} labels - Labels of all widgets
+ * @returns {string|null} Error message, or null if valid
+ */
+const validateCombine = (param, labels) => {
+    if (param.combine === undefined) {
+        return `Missing "combine" - use one of: ${COMBINE_MODES.join(', ')}`
+    }
+
+    if (!COMBINE_MODES.includes(param.combine)) {
+        return `"combine" must be one of: ${COMBINE_MODES.join(', ')}`
+    }
+
+    if (param.of !== undefined) {
+        if (!Array.isArray(param.of) || param.of.length === 0) {
+            return '"of" must be an array of widget labels'
+        }
+        const unknown = param.of.find(label => !labels.includes(label))
+        if (unknown !== undefined) {
+            return `Unknown widget "${unknown}" in "of". Defined widgets: ${labels.join(', ')}`
+        }
+    }
+
+    if (param.combine === 'difference' && getCombinedLabels(param, labels).length !== 2) {
+        return '"combine": "difference" needs exactly two widgets - list them in "of"'
+    }
+
+    if (param.value === 'pulse') {
+        return '"pulse" cannot be used in "combined" - give each widget its own pulse parameter'
+    }
+
+    return null
+}
+
+/**
+ * Labels of the widgets a combined parameter uses - "of", or every widget
+ * @param {{of?: string[]}} param
+ * @param {string[]} labels - Labels of all widgets, in config order
+ * @returns {string[]}
+ */
+const getCombinedLabels = (param, labels) => param.of || labels
+
+/**
+ * Merge heart rates for a combined parameter
+ * @param {string} mode - One of COMBINE_MODES
+ * @param {(number|null)[]} heartRates - One per widget in "of" order, null for widgets without current data
+ * @returns {number|null} null when there's nothing to send
+ */
+const combineHeartRates = (mode, heartRates) => {
+    // "difference" is first minus second and needs both - the others use whoever has data
+    if (mode === 'difference') {
+        return heartRates.some(heartRate => heartRate === null) ? null : heartRates[0] - heartRates[1]
+    }
+
+    const available = heartRates.filter(heartRate => heartRate !== null)
+    if (available.length === 0) return null
+    if (mode === 'max') return Math.max(...available)
+    if (mode === 'min') return Math.min(...available)
+    return available.reduce((sum, heartRate) => sum + heartRate, 0) / available.length
+}
+
+/**
+ * Add a prefix after /avatar/parameters/ to an address
+ * @param {string} address
+ * @param {string} prefix
+ * @returns {string}
+ */
+const prefixAddress = (address, prefix) => address.replace(/^\/avatar\/parameters\//, `/avatar/parameters/${prefix}`)
+
+/**
+ * A widget's copy of a parameter list, every address prefixed
+ * @param {object[]} parameters
+ * @param {string} prefix
+ * @returns {object[]}
+ */
+const prefixParameters = (parameters, prefix) => parameters.map(param => {
+    if (param.decompose) {
+        return { ...param, decompose: { ...param.decompose, addresses: param.decompose.addresses.map(address => prefixAddress(address, prefix)) } }
+    }
+    return { ...param, address: prefixAddress(param.address, prefix) }
+})
+
+/**
+ * Addresses two streams would both send to - checked once each list is valid on its own
+ * @param {object} config - Config with "widgets"
+ * @returns {import('./schema').ConfigProblem[]} One problem per parameter (or address prefix) that reuses an address
+ */
+const findSharedAddresses = (config) => {
+    const owners = new Map()
+    const problems = []
+
+    // Widgets with an "addressPrefix" send the default parameters or, after an avatar change, a profile's
+    const templateLists = [config.parameters]
+    Object.entries(config.avatarProfiles?.profiles || {}).forEach(([avatarId, profile]) => {
+        if (!avatarId.startsWith('_')) templateLists.push(profile.parameters)
+    })
+
+    const claim = (path, owner, parameters) => {
+        for (const address of parameters.flatMap(getParameterAddresses)) {
+            const previous = owners.get(address)
+            if (previous !== undefined && previous !== owner) {
+                problems.push({ path, message: `Address "${address}" is also used by ${previous}` })
+                return
+            }
+            owners.set(address, owner)
+        }
+    }
+
+    config.widgets.forEach((widget, i) => {
+        const owner = `widget "${widget.label}"`
+        if (widget.parameters) {
+            widget.parameters.forEach((param, j) => claim(joinPath(joinPath(joinPath('widgets', i), 'parameters'), j), owner, [param]))
+        } else {
+            templateLists.forEach(parameters => claim(joinPath(joinPath('widgets', i), 'addressPrefix'), owner, prefixParameters(parameters, widget.addressPrefix)))
+        }
+    })
+    ;(config.combined || []).forEach((param, i) => claim(joinPath('combined', i), '"combined"', [param]))
+
+    // A prefix that clashes with several lists is one problem
+    return problems.filter((problem, i) => problems.findIndex(other => other.path === problem.path) === i)
+}
+
+/**
+ * A logger that starts every message with a widget's label
+ * @param {import('./logger').Logger} log
+ * @param {string} label
+ * @returns {import('./logger').Logger}
+ */
+const createWidgetLog = (log, label) => ({
+    debug: (format, ...args) => log.debug(`${label}: ${format}`, ...args),
+    info: (format, ...args) => log.info(`${label}: ${format}`, ...args),
+    status: (format, ...args) => log.status(`${label}: ${format}`, ...args),
+    warn: (format, ...args) => log.warn(`${label}: ${format}`, ...args),
+    error: (format, ...args) => log.error(`${label}: ${format}`, ...args),
+    hint: (level, format, ...args) => log.hint(level, `${label}: ${format}`, ...args),
+    heartRate: (heartRate) => log.heartRate(heartRate, label),
+    plain: (text) => log.plain(text)
+})
+
+exports.COMBINE_MODES = COMBINE_MODES
+exports.validateWidgets = validateWidgets
+exports.validateCombine = validateCombine
+exports.getCombinedLabels = getCombinedLabels
+exports.combineHeartRates = combineHeartRates
+exports.prefixParameters = prefixParameters
+exports.findSharedAddresses = findSharedAddresses
+exports.createWidgetLog = createWidgetLog
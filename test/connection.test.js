@@ -0,0 +1,259 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const http = require('http')
+const { createConnection, getReconnectDelay, validateConnectionSettings } = require('../code/sources/connection')
+const { createPulsoidSource } = require('../code/sources/pulsoid')
+const { createLogger } = require('../code/logger')
+const { createFakeClock } = require('./helpers/fake-clock')
+const { createFakeWebSocket } = require('./helpers/fake-websocket')
+
+const quietLog = createLogger({ level: 'error' }, { write: () => { } })
+
+// Let awaited URL fetches finish
+const flush = () => new Promise(resolve => setImmediate(resolve))
+
+/**
+ * A connection wired to a fake WebSocket and clock, recording what it reports
+ */
+const setup = (settings = {}) => {
+    const { clock, advance } = createFakeClock()
+    const { FakeWebSocket, sockets } = createFakeWebSocket()
+    const events = []
+    let fetches = 0
+
+    const connection = createConnection({
+        fetchUrl: async () => `ws://stand-in/${++fetches}`,
+        onOpen: () => events.push('open'),
+        onMessage: (data) => events.push(`message ${data}`),
+        onClose: (code, reason) => events.push(`close ${code} ${reason}`),
+        onRetry: (attempt) => events.push(`retry ${attempt}`)
+    }, {
+        settings: { minReconnectDelay: 1, maxReconnectDelay: 8, ...settings },
+        WebSocket: FakeWebSocket,
+        clock,
+        log: quietLog,
+        random: () => 1
+    })
+
+    return { connection, sockets, events, advance, fetches: () => fetches, last: () => sockets[sockets.length - 1] }
+}
+
+test('getReconnectDelay doubles per attempt up to the cap, jittered between half and all of it', () => {
+    const settings = { minReconnectDelay: 1, maxReconnectDelay: 8 }
+    assert.deepStrictEqual([1, 2, 3, 4, 5, 6].map(attempt => getReconnectDelay(attempt, settings, () => 1)), [1000, 2000, 4000, 8000, 8000, 8000])
+    assert.strictEqual(getReconnectDelay(3, settings, () => 0), 2000)
+    assert.strictEqual(getReconnectDelay(3, settings, () => 0.5), 3000)
+})
+
+test('validateConnectionSettings rejects bad settings', () => {
+    assert.strictEqual(validateConnectionSettings({}), null)
+    assert.match(validateConnectionSettings({ pingInterval: 0 }), /pingInterval/)
+    assert.match(validateConnectionSettings({ minReconnectDelay: 10, maxReconnectDelay: 5 }), /minReconnectDelay/)
+    assert.match(validateConnectionSettings({ refreshAfterFailures: 1.5 }), /refreshAfterFailures/)
+    assert.match(validateConnectionSettings({ rpcUrl: 'ftp://example' }), /rpcUrl/)
+})
+
+test('connects and passes messages on', async () => {
+    const { connection, events, last } = setup()
+    await connection.start()
+    assert.strictEqual(connection.getState(), 'connecting')
+    assert.strictEqual(last().url, 'ws://stand-in/1')
+
+    last().open()
+    last().message({ data: { heart_rate: 70 } })
+    assert.strictEqual(connection.getState(), 'open')
+    assert.deepStrictEqual(events, ['open', 'message {"data":{"heart_rate":70}}'])
+})
+
+test('a ping without a pong drops the socket and reconnects to the same URL', async () => {
+    const { connection, sockets, events, advance, fetches, last } = setup({ pingInterval: 15, silenceTimeout: 120 })
+    await connection.start()
+    last().open()
+
+    // Answered pings keep the socket
+    advance(15000)
+    last().pong()
+    advance(15000)
+    assert.strictEqual(last().pings, 2)
+    assert.strictEqual(last().terminated, false)
+
+    // The second ping goes unanswered
+    advance(15000)
+    assert.strictEqual(sockets[0].terminated, true)
+    assert.deepStrictEqual(events.slice(-2), ['close 1006 No answer to ping for 15 seconds', 'retry 1'])
+
+    advance(1000)
+    await flush()
+    assert.strictEqual(sockets.length, 2)
+    assert.strictEqual(last().url, 'ws://stand-in/1')
+    assert.strictEqual(fetches(), 1)
+
+    // Events from the dropped socket are ignored
+    sockets[0].serverClose()
+    assert.strictEqual(events.filter(event => event.startsWith('close')).length, 1)
+    connection.stop()
+})
+
+test('failed connections back off with jitter up to the cap', async () => {
+    const { connection, sockets, advance, last } = setup({ maxReconnectDelay: 4 })
+    await connection.start()
+
+    // With random() = 1 the waits are the full backoff: 1, 2, 4, 4 seconds
+    for (const wait of [1000, 2000, 4000, 4000]) {
+        const count = sockets.length
+        last().fail()
+        advance(wait - 1)
+        await flush()
+        assert.strictEqual(sockets.length, count, `no reconnect before ${wait} ms`)
+        advance(1)
+        await flush()
+        assert.strictEqual(sockets.length, count + 1, `reconnect after ${wait} ms`)
+    }
+    connection.stop()
+})
+
+test('the backoff starts over once a connection delivers data', async () => {
+    const { connection, events, advance, last } = setup()
+    await connection.start()
+    last().fail()
+    advance(1000)
+    await flush()
+    last().fail()
+    advance(2000)
+    await flush()
+
+    last().open()
+    last().message({ data: { heart_rate: 70 } })
+    last().serverClose()
+    assert.strictEqual(events[events.length - 1], 'retry 1')
+    connection.stop()
+})
+
+test('a new URL is fetched after refreshAfterFailures failed attempts', async () => {
+    const { connection, advance, fetches, last } = setup({ refreshAfterFailures: 3 })
+    await connection.start()
+
+    for (let i = 0; i < 3; i++) {
+        last().fail()
+        advance(10000)
+        await flush()
+    }
+    assert.strictEqual(fetches(), 2)
+    assert.strictEqual(last().url, 'ws://stand-in/2')
+    connection.stop()
+})
+
+test('data silence drops the socket and fetches a new URL', async () => {
+    const { connection, events, advance, fetches, last } = setup({ pingInterval: 1000, silenceTimeout: 120 })
+    await connection.start()
+    last().open()
+
+    // Heart rate data keeps the connection alive, other messages don't
+    advance(100000)
+    connection.dataReceived()
+    advance(100000)
+    assert.strictEqual(connection.getState(), 'open')
+
+    advance(20000)
+    assert.ok(events.includes('close 1006 No heart rate data for 120 seconds'))
+
+    advance(1000)
+    await flush()
+    assert.strictEqual(fetches(), 2)
+    connection.stop()
+})
+
+test('401 and 403 responses fetch a new URL before reconnecting', async () => {
+    for (const status of [401, 403]) {
+        const { connection, advance, fetches, last } = setup()
+        await connection.start()
+        last().fail(`Unexpected server response: ${status}`)
+        advance(1000)
+        await flush()
+        assert.strictEqual(fetches(), 2, `refetched after ${status}`)
+        assert.strictEqual(last().url, 'ws://stand-in/2')
+        connection.stop()
+    }
+})
+
+test('a failed URL fetch is retried with backoff', async () => {
+    const { clock, advance } = createFakeClock()
+    const { FakeWebSocket, sockets } = createFakeWebSocket()
+    let fetches = 0
+    const connection = createConnection({
+        fetchUrl: async () => ++fetches >= 2 ? 'ws://stand-in/ok' : null,
+        onOpen: () => { },
+        onMessage: () => { },
+        onClose: () => { },
+        onRetry: () => { }
+    }, { WebSocket: FakeWebSocket, clock, log: quietLog, random: () => 1 })
+
+    await connection.start()
+    assert.strictEqual(connection.getState(), 'waiting')
+    assert.strictEqual(sockets.length, 0)
+
+    advance(1000)
+    await flush()
+    assert.strictEqual(sockets.length, 1)
+    connection.stop()
+})
+
+test('stop closes the socket and cancels a pending reconnect', async () => {
+    const { connection, sockets, events, advance, last } = setup()
+    await connection.start()
+    last().fail()
+    connection.stop()
+    advance(60000)
+    await flush()
+    assert.strictEqual(sockets.length, 1)
+    assert.strictEqual(connection.getState(), 'stopped')
+
+    const running = setup()
+    await running.connection.start()
+    running.last().open()
+    running.connection.stop()
+    assert.strictEqual(running.last().closed, true)
+    running.last().serverClose()
+    assert.deepStrictEqual(running.events, ['open'])
+    assert.deepStrictEqual(events, ['retry 1'])
+})
+
+test('the Pulsoid source asks rpcUrl for the WebSocket URL and reads ramiel messages', async (t) => {
+    const requests = []
+    const server = http.createServer((req, res) => {
+        let body = ''
+        req.on('data', chunk => { body += chunk })
+        req.on('end', () => {
+            requests.push({ method: req.headers['x-rpc-method'], body: JSON.parse(body) })
+            res.setHeader('Content-Type', 'application/json')
+            res.end(JSON.stringify({ jsonrpc: '2.0', id: '1', result: { ramielUrl: 'ws://stand-in/ramiel', status: 'ok' } }))
+        })
+    })
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+    t.after(() => server.close())
+
+    const { clock } = createFakeClock()
+    const { FakeWebSocket, sockets } = createFakeWebSocket()
+    const readings = []
+    const messages = []
+    const widgetId = 'a1b2c3d4-e5f6-7890-abcd-ef1234567890'
+    const source = createPulsoidSource({ type: 'pulsoid', rpcUrl: `http://127.0.0.1:${server.address().port}/rpc` }, widgetId, {
+        onConnect: () => { },
+        onReading: (heartRate, payload, measuredAt) => readings.push([heartRate, measuredAt]),
+        onDisconnect: () => { },
+        onMessage: (result) => messages.push(result)
+    }, { clock, WebSocket: FakeWebSocket, log: quietLog })
+
+    await source.start()
+    assert.strictEqual(requests[0].method, 'getWidget')
+    assert.strictEqual(requests[0].body.params.widgetId, widgetId)
+    assert.strictEqual(sockets[0].url, 'ws://stand-in/ramiel')
+
+    sockets[0].open()
+    sockets[0].message({ measured_at: 1700000000000, data: { heart_rate: 72 } })
+    sockets[0].message({ data: { heart_rate: 0 } })
+    sockets[0].emit('message', Buffer.from('not json'))
+    assert.deepStrictEqual(readings, [[72, 1700000000000]])
+    assert.deepStrictEqual(messages, ['reading', 'noHeartRate', 'parseFailure'])
+    source.stop()
+})
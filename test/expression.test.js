@@ -0,0 +1,132 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { parseExpression, evaluateExpression, clearExpressionCache } = require('../code/expression')
+const { PulsoidOscBridge, validateOSCConfig } = require('../code/index')
+const { createLogger } = require('../code/logger')
+const { createFakeClock } = require('./helpers/fake-clock')
+
+const evaluate = (source, variables = {}) => evaluateExpression(source, { heartRate: 100, ...variables })
+
+const waitFor = async (condition, timeout = 5000) => {
+    const end = Date.now() + timeout
+    while (!condition()) {
+        if (Date.now() > end) throw new Error('Timed out waiting')
+        await new Promise(resolve => setTimeout(resolve, 50))
+    }
+}
+
+test('operators follow the usual precedence', () => {
+    assert.strictEqual(evaluate('1 + 2 * 3'), 7)
+    assert.strictEqual(evaluate('(1 + 2) * 3'), 9)
+    assert.strictEqual(evaluate('10 - 4 - 3'), 3)
+    assert.strictEqual(evaluate('2 * 3 % 4'), 2)
+    assert.strictEqual(evaluate('-2 * -3'), 6)
+    assert.strictEqual(evaluate('1 + 2 < 4 == true'), true)
+    assert.strictEqual(evaluate('!false && 1 > 2 || 3 >= 3'), true)
+    assert.strictEqual(evaluate('heartRate / 127 - 1'), 100 / 127 - 1)
+})
+
+test('the ternary nests to the right and only evaluates the branch it takes', () => {
+    assert.strictEqual(evaluate('heartRate > 120 ? 2 : heartRate > 90 ? 1 : 0'), 1)
+    assert.strictEqual(evaluate('heartRate > 90 ? 1 + 1 : 0'), 2)
+    assert.strictEqual(evaluate('true ? heartRate : trend', { trend: undefined }), 100)
+    assert.strictEqual(evaluate('false && trend > 0', { trend: undefined }), false)
+})
+
+test('functions check their argument counts', () => {
+    assert.strictEqual(evaluate('clamp(heartRate, 60, 90)'), 90)
+    assert.strictEqual(evaluate('max(1, 5, 3)'), 5)
+    assert.strictEqual(evaluate('round(1.2345, 2)'), 1.23)
+    assert.strictEqual(evaluate('if(heartRate > 90, 1, 0)'), 1)
+
+    assert.throws(() => parseExpression('clamp(heartRate, 1)'), /Function "clamp" takes 3 argument\(s\), got 2 at position 1/)
+    assert.throws(() => parseExpression('round(1, 2, 3)'), /Function "round" takes 1-2 argument\(s\), got 3/)
+    assert.throws(() => parseExpression('min()'), /Function "min" takes at least 1 argument\(s\), got 0/)
+})
+
+test('errors point at the position of the problem', () => {
+    const positionOf = (source) => {
+        try {
+            parseExpression(source)
+        } catch (err) {
+            return [err.message, err.position]
+        }
+        return null
+    }
+
+    assert.deepStrictEqual(positionOf('heartRate + '), ['Unexpected end of expression at position 13', 13])
+    assert.deepStrictEqual(positionOf('heartRate $ 2'), ['Unexpected character "$" at position 11', 11])
+    assert.deepStrictEqual(positionOf('(heartRate + 1'), ['Expected ")" but found end of expression at position 15', 15])
+    assert.deepStrictEqual(positionOf('heartRate 2'), ['Unexpected "2" at position 11', 11])
+    assert.deepStrictEqual(positionOf('heartRate > 1 ? 2'), ['Expected ":" but found end of expression at position 18', 18])
+    assert.deepStrictEqual(positionOf(''), ['Empty expression at position 1', 1])
+})
+
+test('unknown variables and functions are rejected, including Object.prototype names', () => {
+    assert.throws(() => parseExpression('heartrate + 1'), /Unknown variable "heartrate" at position 1/)
+    assert.throws(() => parseExpression('1 + sqrt(heartRate)'), /Unknown function "sqrt" at position 5/)
+    for (const name of ['toString', 'constructor', 'valueOf', 'hasOwnProperty', '__proto__']) {
+        assert.throws(() => parseExpression(`${name}(heartRate)`), new RegExp(`Unknown function "${name}"`))
+    }
+
+    const result = validateOSCConfig({
+        parameters: [{ name: 'HR', address: '/avatar/parameters/HR', type: 'float', value: 'toString(heartRate)' }]
+    })
+    assert.strictEqual(result.valid, false)
+    assert.match(result.error, /Unknown function "toString"/)
+})
+
+test('a variable without a value fails when it is used', () => {
+    assert.throws(() => evaluate('avgHeartRate + 1', { avgHeartRate: null }), /Variable "avgHeartRate" has no value yet/)
+})
+
+test('a config reload forgets the expressions it replaced', async (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'expression-test-'))
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }))
+    const configPath = path.join(dir, 'osc_parameters.json')
+    const writeConfig = (value) => fs.writeFileSync(configPath, JSON.stringify({
+        configVersion: 2,
+        parameters: [{ name: 'HR', address: '/avatar/parameters/HR', type: 'float', value }]
+    }))
+    writeConfig('heartRate + 1')
+
+    const { clock, advance } = createFakeClock()
+    const sent = []
+    class FakeClient {
+        send (message, callback) {
+            if (message.address === '/avatar/parameters/HR') sent.push(message.args.value)
+            callback()
+        }
+
+        close () { }
+    }
+
+    const lines = []
+    const bridge = new PulsoidOscBridge({
+        configPath,
+        source: { type: 'synthetic', mode: 'constant', bpm: 100 },
+        OSCClient: FakeClient,
+        clock,
+        log: createLogger({ level: 'info' }, { write: (line) => lines.push(line) })
+    })
+    clearExpressionCache()
+    await bridge.start()
+    t.after(() => bridge.stop())
+    advance(1000)
+    assert.strictEqual(sent.at(-1), 101)
+
+    // Edited expressions replace the old ones instead of piling up
+    for (const value of ['heartRate + 2', 'heartRate + 3']) {
+        const reloads = lines.filter(line => line.includes('Reloaded')).length
+        writeConfig(value)
+        const future = new Date(Date.now() + 1000 * (reloads + 1))
+        fs.utimesSync(configPath, future, future)
+        await waitFor(() => lines.filter(line => line.includes('Reloaded')).length > reloads)
+        advance(1000)
+    }
+    assert.strictEqual(sent.at(-1), 103)
+    assert.strictEqual(clearExpressionCache(), 1)
+})
@@ -0,0 +1,96 @@
+const test = require('node:test')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const assert = require('node:assert')
+const { createFallbackRunner } = require('../code/fallback')
+const { composeValue, decomposeValue } = require('../code/decompose')
+const { PulsoidOscBridge } = require('../code/index')
+const { createLogger } = require('../code/logger')
+const { createFakeClock } = require('./helpers/fake-clock')
+
+const digits = (name) => ({
+    name,
+    type: 'int',
+    outputRange: [0, 255],
+    decompose: { mode: 'digits', addresses: ['Ones', 'Tens', 'Hundreds'].map(part => `/avatar/parameters/${name}${part}`) }
+})
+
+test('composeValue reverses decomposeValue', () => {
+    const decompose = { mode: 'digits', addresses: ['a', 'b', 'c'] }
+    assert.strictEqual(composeValue(decompose, decomposeValue(decompose, 147)), 147)
+    assert.strictEqual(composeValue({ mode: 'bits', addresses: ['a', 'b', 'c'] }, [true, false, true]), 5)
+    assert.strictEqual(composeValue(decompose, [7, 4, undefined]), undefined)
+})
+
+test('fades of decompose parameters and plain parameters are kept apart', () => {
+    const { clock, advance } = createFakeClock()
+    const sent = []
+    const last = new Map([['/avatar/parameters/Level', 1]])
+    const runner = createFallbackRunner({
+        send: (param, value) => sent.push([param.name, value]),
+        getLastValue: (param) => last.get(param.address),
+        clock
+    })
+
+    const level = { name: 'Level', address: '/avatar/parameters/Level', type: 'float', onStale: { fade: 0, seconds: 1 } }
+    const bpmA = { ...digits('A'), onStale: { reset: 0 } }
+    const bpmB = { ...digits('B'), onStale: { reset: 0 } }
+    runner.apply([level, bpmA, bpmB], 'onStale')
+
+    // The decompose resets mustn't stop the fade started before them
+    advance(1000)
+    assert.deepStrictEqual(sent.filter(([name]) => name !== 'Level'), [['A', 0], ['B', 0]])
+    assert.deepStrictEqual(sent.filter(([name]) => name === 'Level').at(-1), ['Level', 0])
+    assert.ok(sent.filter(([name]) => name === 'Level').length > 2)
+})
+
+test('decompose parameters reset their digits on stale and disconnect', async (t) => {
+    const { clock, advance } = createFakeClock()
+    const values = new Map()
+    class FakeClient {
+        send (message, callback) {
+            values.set(message.address, message.args.value)
+            callback()
+        }
+
+        close () { }
+    }
+
+    // Two readings, a gap longer than staleTimeout, one more reading, then the replay ends
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fallback-test-'))
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }))
+    const file = path.join(dir, 'gap.jsonl')
+    fs.writeFileSync(file, [[0, 123], [1000, 124], [20000, 125]].map(([time, heartRate]) => JSON.stringify({ time, heartRate })).join('\n'))
+
+    const config = {
+        staleTimeout: 5,
+        parameters: [
+            { ...digits('BPM'), onStale: { reset: 0 }, onDisconnect: { reset: 999 } },
+            { ...digits('Other'), onStale: { reset: 42 } }
+        ]
+    }
+    const bridge = new PulsoidOscBridge({
+        config,
+        source: { type: 'replay', file },
+        OSCClient: FakeClient,
+        clock,
+        log: createLogger({ level: 'error' }, { write: () => { } })
+    })
+    const read = (name) => ['Hundreds', 'Tens', 'Ones'].map(part => values.get(`/avatar/parameters/${name}${part}`)).join('')
+
+    await bridge.start()
+    advance(1500)
+    assert.strictEqual(read('BPM'), '124')
+
+    advance(6000)
+    assert.strictEqual(read('BPM'), '000')
+    assert.strictEqual(read('Other'), '042')
+
+    // The last reading comes back, then the replay ends - a disconnect
+    advance(13000)
+    assert.strictEqual(read('Other'), '125')
+    assert.strictEqual(read('BPM'), '999')
+
+    await bridge.stop()
+})
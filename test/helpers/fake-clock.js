@@ -0,0 +1,48 @@
+/**
+ * A clock for tests - time only moves when advance() is called, running every
+ * timer that falls due on the way in order
+ */
+
+/**
+ * @param {number} [start] - Starting time (epoch milliseconds)
+ * @returns {{clock: import('../../code/clock').Clock, advance: (ms: number) => void}}
+ */
+const createFakeClock = (start = 0) => {
+    let now = start
+    let nextId = 1
+    let timers = []
+
+    const add = (callback, ms, every) => {
+        const timer = { id: nextId++, at: now + Math.max(0, ms), callback, every }
+        timers.push(timer)
+        return timer.id
+    }
+    const remove = (id) => {
+        timers = timers.filter(timer => timer.id !== id)
+    }
+
+    const clock = {
+        now: () => now,
+        setTimeout: (callback, ms) => add(callback, ms, null),
+        clearTimeout: remove,
+        setInterval: (callback, ms) => add(callback, ms, ms),
+        clearInterval: remove
+    }
+
+    const advance = (ms) => {
+        const end = now + ms
+        for (;;) {
+            const due = timers.filter(timer => timer.at <= end).sort((a, b) => a.at - b.at || a.id - b.id)[0]
+            if (!due) break
+            now = due.at
+            if (due.every) due.at += due.every
+            else remove(due.id)
+            due.callback()
+        }
+        now = end
+    }
+
+    return { clock, advance }
+}
+
+exports.createFakeClock = createFakeClock
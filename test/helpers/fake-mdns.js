@@ -0,0 +1,34 @@
+/**
+ * An in-process mDNS "network" for tests - every instance made by its
+ * multicastDns() factory hears the queries and responses of the others
+ */
+
+const { EventEmitter } = require('events')
+
+/**
+ * @returns {{multicastDns: () => EventEmitter, members: () => number}} members - instances not destroyed yet
+ */
+const createMdnsNetwork = () => {
+    const members = new Set()
+
+    const multicastDns = () => {
+        const mdns = new EventEmitter()
+        members.add(mdns)
+
+        // Delivered on a later tick, like packets
+        const broadcast = (event, packet) => setImmediate(() => {
+            members.forEach(member => {
+                if (member !== mdns) member.emit(event, packet)
+            })
+        })
+
+        mdns.query = (query) => broadcast('query', { questions: query.questions || [] })
+        mdns.respond = (response) => broadcast('response', { answers: response.answers || [], additionals: response.additionals || [] })
+        mdns.destroy = () => members.delete(mdns)
+        return mdns
+    }
+
+    return { multicastDns, members: () => members.size }
+}
+
+exports.createMdnsNetwork = createMdnsNetwork
@@ -0,0 +1,43 @@
+/**
+ * A WebSocket stand-in for the Pulsoid connection - the test drives each socket
+ * with open(), message(), fail() and serverClose()
+ */
+
+const { EventEmitter } = require('events')
+
+/**
+ * @returns {{FakeWebSocket: Function, sockets: EventEmitter[]}} sockets - every socket made, oldest first
+ */
+const createFakeWebSocket = () => {
+    const sockets = []
+
+    class FakeWebSocket extends EventEmitter {
+        constructor (url) {
+            super()
+            this.url = url
+            this.pings = 0
+            this.terminated = false
+            this.closed = false
+            sockets.push(this)
+        }
+
+        ping () { this.pings++ }
+        terminate () { this.terminated = true }
+        close () { this.closed = true }
+
+        open () { this.emit('open') }
+        message (payload) { this.emit('message', Buffer.from(JSON.stringify(payload))) }
+        pong () { this.emit('pong') }
+        serverClose (code = 1006, reason = '') { this.emit('close', code, Buffer.from(reason)) }
+
+        // A failed handshake: an error, then close without ever opening
+        fail (message = 'Unexpected server response: 500') {
+            this.emit('error', new Error(message))
+            this.emit('close', 1006, Buffer.from(''))
+        }
+    }
+
+    return { FakeWebSocket, sockets }
+}
+
+exports.createFakeWebSocket = createFakeWebSocket
@@ -0,0 +1,117 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const http = require('http')
+const { PulsoidOscBridge } = require('../code/index')
+const { createLogger } = require('../code/logger')
+const { createFakeClock } = require('./helpers/fake-clock')
+const { createFakeWebSocket } = require('./helpers/fake-websocket')
+
+const START = 1700000000000
+
+/**
+ * A bridge on the Pulsoid source, fed through a fake WebSocket - send(heartRate, secondsAgo) delivers
+ * a reading measured that long before the fake clock's current time
+ */
+const startBridge = async (t, config = {}) => {
+    const server = http.createServer((req, res) => {
+        req.resume()
+        req.on('end', () => {
+            res.setHeader('Content-Type', 'application/json')
+            res.end(JSON.stringify({ jsonrpc: '2.0', id: '1', result: { ramielUrl: 'ws://stand-in/ramiel' } }))
+        })
+    })
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+    t.after(() => server.close())
+
+    const { clock, advance } = createFakeClock(START)
+    const { FakeWebSocket, sockets } = createFakeWebSocket()
+    const sent = []
+    class FakeClient {
+        send (message, callback) {
+            if (message.address === '/avatar/parameters/HR') sent.push(message.args.value)
+            callback()
+        }
+
+        close () { }
+    }
+
+    const lines = []
+    const bridge = new PulsoidOscBridge({
+        widgetId: 'a1b2c3d4-e5f6-7890-abcd-ef1234567890',
+        config: {
+            ...config,
+            parameters: [{ name: 'HR', address: '/avatar/parameters/HR', type: 'int', outputRange: [0, 255] }]
+        },
+        source: { type: 'pulsoid', rpcUrl: `http://127.0.0.1:${server.address().port}/rpc` },
+        OSCClient: FakeClient,
+        WebSocket: FakeWebSocket,
+        clock,
+        log: createLogger({ level: 'info' }, { write: (line) => lines.push(line) })
+    })
+    await bridge.start()
+    t.after(() => bridge.stop())
+    sockets[0].open()
+
+    const send = (heartRate, secondsAgo) => {
+        sockets[0].message({ measured_at: clock.now() - secondsAgo * 1000, data: { heart_rate: heartRate } })
+    }
+    return { bridge, send, sent, lines, advance }
+}
+
+test('readings measured longer than maxDataAge ago are dropped, however long it lasts', async (t) => {
+    const { bridge, send, sent, lines, advance } = await startBridge(t, { maxDataAge: 10 })
+
+    // A stream that is always a minute behind never counts as fresh
+    for (let i = 0; i < 40; i++) {
+        send(100 + i, 60)
+        advance(1000)
+    }
+    assert.deepStrictEqual(sent, [])
+    assert.strictEqual(bridge.getStatus().latency, null)
+    assert.ok(lines.some(line => line.includes('Dropped a heart rate reading measured 60.0 seconds ago (maxDataAge is 10)')))
+    assert.ok(lines.some(line => line.includes('Still dropping heart rate readings - 31 in a row')))
+
+    // Back on time
+    send(90, 1)
+    assert.deepStrictEqual(sent, [90])
+    assert.ok(lines.some(line => line.includes('Readings are current again after 40 were dropped')))
+})
+
+test('a small clock difference is allowed, out-of-order readings are not', async (t) => {
+    const { send, sent } = await startBridge(t, { maxDataAge: 10 })
+
+    // 11 seconds is within the 2 seconds allowed for the phone's clock, 12.5 isn't
+    send(70, 11)
+    send(71, 12.5)
+
+    // A clock slightly ahead is fine - but nothing older than the last reading gets through
+    send(72, -1)
+    send(73, 0)
+    assert.deepStrictEqual(sent, [70, 72])
+})
+
+test('latency is the time from measurement to the OSC send', async (t) => {
+    const { bridge, send, lines } = await startBridge(t)
+
+    send(80, 1.5)
+    assert.strictEqual(bridge.getStatus().latency, 1500)
+
+    send(81, 0.5)
+    assert.strictEqual(bridge.getStatus().latency, 500)
+
+    send(82, -4)
+    assert.strictEqual(bridge.getStatus().latency, 0)
+    assert.ok(!lines.some(line => line.includes('after it was measured')))
+})
+
+test('a warning is logged while readings reach VRChat later than latencyWarning', async (t) => {
+    const { bridge, send, lines, advance } = await startBridge(t, { latencyWarning: 2 })
+
+    send(80, 4)
+    assert.strictEqual(bridge.getStatus().latency, 4000)
+    assert.ok(lines.some(line => line.includes('Heart rate reached VRChat 4.0 seconds after it was measured')))
+
+    advance(1000)
+    send(81, 1)
+    assert.ok(lines.some(line => line.includes('Heart rate latency back to 1.0 seconds')))
+})
@@ -0,0 +1,190 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const http = require('http')
+const { Client } = require('node-osc')
+const { discoverVRChat, advertiseOSCQuery } = require('../code/oscquery')
+const { PulsoidOscBridge } = require('../code/index')
+const { createLogger } = require('../code/logger')
+const { createFakeClock } = require('./helpers/fake-clock')
+const { createMdnsNetwork } = require('./helpers/fake-mdns')
+
+const VRCHAT_OSC_PORT = 9123
+const AVATAR_ID = 'avtr_00000000-0000-0000-0000-000000000001'
+
+const waitFor = async (condition, timeout = 2000) => {
+    const end = Date.now() + timeout
+    while (!condition()) {
+        if (Date.now() > end) throw new Error('Timed out waiting')
+        await new Promise(resolve => setTimeout(resolve, 10))
+    }
+}
+
+/**
+ * A VRChat stand-in: an OSCQuery HTTP server with one avatar loaded, announced on the fake mDNS network
+ * @param {import('node:test').TestContext} t
+ * @param {ReturnType<typeof createMdnsNetwork>} network
+ * @param {string[]} parameters - Names of the avatar's parameters
+ */
+const startVRChat = async (t, network, parameters) => {
+    const contents = Object.fromEntries(parameters.map(name => [name, { FULL_PATH: `/avatar/parameters/${name}`, ACCESS: 3, TYPE: 'f' }]))
+    const documents = {
+        '/?HOST_INFO': { NAME: 'VRChat-Client-ABC123', OSC_IP: '0.0.0.0', OSC_PORT: VRCHAT_OSC_PORT, OSC_TRANSPORT: 'UDP' },
+        '/avatar/parameters': { FULL_PATH: '/avatar/parameters', ACCESS: 0, CONTENTS: contents },
+        '/avatar/change': { FULL_PATH: '/avatar/change', ACCESS: 3, TYPE: 's', VALUE: [AVATAR_ID] }
+    }
+    const server = http.createServer((req, res) => {
+        const body = documents[req.url]
+        res.writeHead(body ? 200 : 404, { 'Content-Type': 'application/json' })
+        res.end(JSON.stringify(body || {}))
+    })
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+
+    const instance = 'VRChat-Client-ABC123._oscjson._tcp.local'
+    const mdns = network.multicastDns()
+    mdns.on('query', ({ questions }) => {
+        if (!questions.some(question => question.name === '_oscjson._tcp.local' || question.name === instance)) return
+        mdns.respond({
+            answers: [
+                { name: '_oscjson._tcp.local', type: 'PTR', data: instance },
+                { name: instance, type: 'SRV', data: { port: server.address().port, target: 'vrchat.local' } },
+                { name: 'vrchat.local', type: 'A', data: '127.0.0.1' }
+            ]
+        })
+    })
+
+    t.after(() => {
+        mdns.destroy()
+        server.close()
+    })
+}
+
+test('discoverVRChat reads the OSC port and avatar parameters of the VRChat it finds', async (t) => {
+    const network = createMdnsNetwork()
+    await startVRChat(t, network, ['HR', 'Heartrate'])
+
+    const result = await discoverVRChat({ timeout: 2000, multicastDns: network.multicastDns })
+    assert.strictEqual(result.host, '127.0.0.1')
+    assert.strictEqual(result.port, VRCHAT_OSC_PORT)
+    assert.deepStrictEqual([...result.parameters].sort(), ['/avatar/parameters/HR', '/avatar/parameters/Heartrate'])
+
+    // Only the VRChat stand-in is left on the network
+    assert.strictEqual(network.members(), 1)
+})
+
+test('discoverVRChat gives null when VRChat doesn\'t answer', async () => {
+    const network = createMdnsNetwork()
+    assert.strictEqual(await discoverVRChat({ timeout: 100, multicastDns: network.multicastDns }), null)
+    assert.strictEqual(network.members(), 0)
+})
+
+test('advertiseOSCQuery answers mDNS questions, serves HOST_INFO and receives OSC', async (t) => {
+    const network = createMdnsNetwork()
+    const received = []
+    const service = await advertiseOSCQuery({
+        name: 'BridgeTest',
+        addresses: ['/avatar/change'],
+        onMessage: (message) => received.push(message),
+        multicastDns: network.multicastDns
+    })
+    t.after(() => service.close())
+
+    // Another app asks who offers OSCQuery
+    const asker = network.multicastDns()
+    const answers = []
+    asker.on('response', (response) => answers.push(...response.answers))
+    asker.query({ questions: [{ name: '_oscjson._tcp.local', type: 'PTR' }] })
+    await waitFor(() => answers.length > 0)
+    asker.destroy()
+
+    const srv = answers.find(record => record.type === 'SRV' && record.name === 'BridgeTest._oscjson._tcp.local')
+    assert.strictEqual(srv.data.port, service.httpPort)
+    assert.ok(answers.some(record => record.type === 'A' && record.data === '127.0.0.1'))
+
+    const hostInfo = await (await fetch(`http://127.0.0.1:${service.httpPort}/?HOST_INFO`)).json()
+    assert.strictEqual(hostInfo.OSC_PORT, service.oscPort)
+    const node = await (await fetch(`http://127.0.0.1:${service.httpPort}/avatar/change`)).json()
+    assert.strictEqual(node.FULL_PATH, '/avatar/change')
+
+    // VRChat sends the avatar change to the advertised OSC port
+    const client = new Client('127.0.0.1', service.oscPort)
+    client.send('/avatar/change', AVATAR_ID, () => client.close())
+    await waitFor(() => received.length > 0)
+    assert.deepStrictEqual(received[0], ['/avatar/change', AVATAR_ID])
+})
+
+test('discoverVRChat doesn\'t mistake another app\'s OSCQuery service for VRChat', async (t) => {
+    const network = createMdnsNetwork()
+    const service = await advertiseOSCQuery({ name: 'OtherApp', addresses: [], onMessage: () => { }, multicastDns: network.multicastDns })
+    t.after(() => service.close())
+
+    assert.strictEqual(await discoverVRChat({ timeout: 200, multicastDns: network.multicastDns }), null)
+})
+
+/**
+ * A bridge sending a constant 120 bpm, with OSCQuery on and every OSC client recorded
+ */
+const startBridge = async (t, network) => {
+    const { clock, advance } = createFakeClock()
+    const clients = []
+    class FakeClient {
+        constructor (host, port) {
+            this.host = host
+            this.port = port
+            this.sent = []
+            clients.push(this)
+        }
+
+        send (message, callback) {
+            this.sent.push(message.address)
+            callback()
+        }
+
+        close () { }
+    }
+
+    const lines = []
+    const bridge = new PulsoidOscBridge({
+        config: {
+            oscquery: { enabled: true, advertise: false, discoveryTimeout: 0.3 },
+            parameters: [
+                { name: 'HR', address: '/avatar/parameters/HR', type: 'int', outputRange: [0, 255] },
+                { name: 'Missing', address: '/avatar/parameters/Missing', type: 'float', outputRange: [0, 1] }
+            ]
+        },
+        source: { type: 'synthetic', mode: 'constant', bpm: 120 },
+        OSCClient: FakeClient,
+        clock,
+        log: createLogger({ level: 'info' }, { write: (line) => lines.push(line) }),
+        multicastDns: network.multicastDns
+    })
+    await bridge.start()
+    t.after(() => bridge.stop())
+    return { clients, lines, advance }
+}
+
+test('the bridge sends to the OSC port found over OSCQuery and warns about missing avatar parameters', async (t) => {
+    const network = createMdnsNetwork()
+    await startVRChat(t, network, ['HR'])
+    const { clients, lines, advance } = await startBridge(t, network)
+
+    await waitFor(() => clients.some(client => client.port === VRCHAT_OSC_PORT) && lines.some(line => line.includes('Missing')))
+    const vrchat = clients.find(client => client.port === VRCHAT_OSC_PORT)
+    assert.strictEqual(vrchat.host, '127.0.0.1')
+    assert.ok(lines.some(line => line.includes('Current avatar has no parameter /avatar/parameters/Missing')))
+    assert.ok(!lines.some(line => line.includes('no parameter /avatar/parameters/HR')))
+
+    advance(1000)
+    assert.ok(vrchat.sent.includes('/avatar/parameters/HR'))
+})
+
+test('the bridge keeps the configured OSC port when VRChat isn\'t found', async (t) => {
+    const network = createMdnsNetwork()
+    const { clients, lines, advance } = await startBridge(t, network)
+
+    await waitFor(() => lines.some(line => line.includes('VRChat not found via OSCQuery')))
+    assert.ok(lines.some(line => line.includes('using localhost:9000')))
+    assert.deepStrictEqual(clients.map(client => client.port), [9000])
+
+    advance(1000)
+    assert.ok(clients[0].sent.includes('/avatar/parameters/HR'))
+})